@@ -0,0 +1,145 @@
+// Load test for atomic bid acceptance.
+//
+// Fires hundreds of concurrent bids at a single auction through the same
+// acceptBid path used by POST /api/bids, then checks that no accepted bid
+// was lost and that the auction's currentBid and bids array agree with
+// the Bid collection.
+//
+// Usage: LOADTEST_MONGODB_URI=mongodb://localhost:27017/aucto-loadtest npm run loadtest:bids
+//        BIDDERS=500 npm run loadtest:bids
+const dotenv = require('dotenv');
+dotenv.config();
+const mongoose = require('mongoose');
+const Auction = require('../src/models/Auction');
+const Bid = require('../src/models/Bid');
+const User = require('../src/models/User');
+const { acceptBid } = require('../src/services/bidding');
+const { getBidIncrement } = require('../src/utils/bidIncrement');
+
+const MONGODB_URI = process.env.LOADTEST_MONGODB_URI || 'mongodb://localhost:27017/aucto-loadtest';
+const BIDDERS = parseInt(process.env.BIDDERS, 10) || 300;
+const RUN_ID = Date.now();
+
+// Create a seller, the bidders and one active auction to fight over
+const setup = async () => {
+  const users = await User.insertMany(
+    Array.from({ length: BIDDERS + 1 }, (_, i) => ({
+      name: `Load Test ${i}`,
+      email: `loadtest-${RUN_ID}-${i}@example.com`,
+      password: 'loadtest-password'
+    }))
+  );
+
+  const [seller, ...bidders] = users;
+
+  const auction = await Auction.create({
+    title: `Load test auction ${RUN_ID}`,
+    description: 'Concurrent bidding load test',
+    category: 'Collectibles',
+    condition: 'New',
+    images: ['https://example.com/loadtest.webp'],
+    basePrice: 100,
+    minAuctionAmount: 100,
+    startTime: new Date(Date.now() - 60 * 1000),
+    endTime: new Date(Date.now() + 60 * 60 * 1000),
+    status: 'active',
+    isApproved: true,
+    seller: seller._id
+  });
+
+  return { users, bidders, auction };
+};
+
+// Each bidder reads the auction and bids somewhere above the minimum, the
+// way a real client racing other clients would
+const placeConcurrentBids = (auction, bidders) => {
+  return Promise.allSettled(bidders.map(async (bidder) => {
+    const current = await Auction.findById(auction._id);
+    const increment = getBidIncrement(current, current.currentBid);
+    const base = current.currentBid ? current.currentBid + increment : current.minAuctionAmount;
+    const amount = base + increment * Math.floor(Math.random() * 3);
+
+    return acceptBid({ auctionId: auction._id, bidderId: bidder._id, amount });
+  }));
+};
+
+// Compare what the callers were told against what was stored
+const verify = async (auction, results) => {
+  const failures = [];
+  const accepted = results.filter(r => r.status === 'fulfilled').map(r => r.value.bid);
+  const rejected = results.filter(r => r.status === 'rejected');
+  const unexpected = rejected.filter(r => !r.reason.statusCode);
+
+  const stored = await Auction.findById(auction._id);
+  const bids = await Bid.find({ auction: auction._id }).sort({ amount: 1 });
+  const highest = bids[bids.length - 1];
+
+  if (unexpected.length > 0) {
+    failures.push(`${unexpected.length} bids failed with unexpected errors: ${unexpected[0].reason.message}`);
+  }
+
+  if (bids.length !== accepted.length) {
+    failures.push(`${accepted.length} bids accepted but ${bids.length} stored`);
+  }
+
+  if (stored.bids.length !== bids.length) {
+    failures.push(`auction.bids has ${stored.bids.length} entries but ${bids.length} bids are stored`);
+  }
+
+  const storedIds = new Set(bids.map(b => b._id.toString()));
+  if (stored.bids.some(id => !storedIds.has(id.toString()))) {
+    failures.push('auction.bids references bids that do not exist');
+  }
+
+  if (highest && stored.currentBid !== highest.amount) {
+    failures.push(`currentBid is ${stored.currentBid} but the highest bid is ${highest.amount}`);
+  }
+
+  for (let i = 1; i < bids.length; i++) {
+    const previous = bids[i - 1].amount;
+    if (bids[i].amount < previous + getBidIncrement(stored, previous)) {
+      failures.push(`bids of ${previous} and ${bids[i].amount} are closer than one increment`);
+      break;
+    }
+  }
+
+  return { failures, accepted: accepted.length, rejected: rejected.length, currentBid: stored.currentBid };
+};
+
+const cleanup = async ({ users, auction }) => {
+  await Bid.deleteMany({ auction: auction._id });
+  await Auction.deleteOne({ _id: auction._id });
+  await User.deleteMany({ _id: { $in: users.map(u => u._id) } });
+};
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log(`Connected to ${MONGODB_URI}, running ${BIDDERS} concurrent bidders`);
+
+  const fixture = await setup();
+  let report;
+
+  try {
+    const startedAt = Date.now();
+    const results = await placeConcurrentBids(fixture.auction, fixture.bidders);
+    report = await verify(fixture.auction, results);
+
+    console.log(`Finished in ${Date.now() - startedAt}ms`);
+    console.log(`Accepted: ${report.accepted}, rejected: ${report.rejected}, final currentBid: ${report.currentBid}`);
+  } finally {
+    await cleanup(fixture);
+    await mongoose.disconnect();
+  }
+
+  if (report.failures.length > 0) {
+    report.failures.forEach(failure => console.error(`FAIL: ${failure}`));
+    process.exit(1);
+  }
+
+  console.log('PASS: no lost or conflicting bid updates');
+};
+
+run().catch(error => {
+  console.error('Load test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+// Supported auction formats
+//   english             - open ascending auction, highest bid wins
+//   sealed_first_price  - hidden bids, winner pays their own bid
+//   sealed_second_price - hidden bids (Vickrey), winner pays the second
+//                         highest bid plus one increment
+//   dutch               - descending price, first user to accept wins
+//   reverse             - procurement request: a buyer owns the auction,
+//                         sellers bid down and the lowest bid wins
+//   penny               - pay-per-bid: each bid costs one bid credit, raises
+//                         the price by a fixed step and resets a countdown
+const AUCTION_TYPES = ['english', 'sealed_first_price', 'sealed_second_price', 'dutch', 'reverse', 'penny'];
+
+const SEALED_AUCTION_TYPES = ['sealed_first_price', 'sealed_second_price'];
+
+// Check whether bids on an auction are hidden until it closes
+const isSealedAuction = (auction) => {
+  return SEALED_AUCTION_TYPES.includes(auction.auctionType);
+};
+
+// Check whether the lowest bid wins
+const isReverseAuction = (auction) => {
+  return auction.auctionType === 'reverse';
+};
+
+module.exports = {
+  AUCTION_TYPES,
+  SEALED_AUCTION_TYPES,
+  isSealedAuction,
+  isReverseAuction
+};
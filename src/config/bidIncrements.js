@@ -0,0 +1,32 @@
+// Platform-wide bid increment table, used when an auction does not set its
+// own flat bidIncrement. Each tier applies to prices below `upTo` (rupees);
+// the last tier has no upper bound.
+const DEFAULT_BID_INCREMENT_TIERS = [
+  { upTo: 1000, increment: 10 },
+  { upTo: 10000, increment: 50 },
+  { upTo: 100000, increment: 100 },
+  { upTo: null, increment: 500 }
+];
+
+// Allow the table to be overridden with a JSON array in BID_INCREMENT_TIERS
+const loadBidIncrementTiers = () => {
+  if (!process.env.BID_INCREMENT_TIERS) {
+    return DEFAULT_BID_INCREMENT_TIERS;
+  }
+
+  try {
+    const tiers = JSON.parse(process.env.BID_INCREMENT_TIERS);
+    if (Array.isArray(tiers) && tiers.length > 0) {
+      return tiers;
+    }
+  } catch (error) {
+    console.error('Invalid BID_INCREMENT_TIERS, using defaults:', error.message);
+  }
+
+  return DEFAULT_BID_INCREMENT_TIERS;
+};
+
+module.exports = {
+  DEFAULT_BID_INCREMENT_TIERS,
+  loadBidIncrementTiers
+};
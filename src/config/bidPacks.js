@@ -0,0 +1,17 @@
+// Bid credit packs sold for penny auctions. `price` is in rupees; each
+// penny auction bid costs one credit.
+const BID_PACKS = [
+  { id: 'starter', name: 'Starter', credits: 20, price: 100 },
+  { id: 'standard', name: 'Standard', credits: 60, price: 250 },
+  { id: 'pro', name: 'Pro', credits: 150, price: 500 }
+];
+
+// Look up a bid pack by id
+const getBidPack = (id) => {
+  return BID_PACKS.find(pack => pack.id === id) || null;
+};
+
+module.exports = {
+  BID_PACKS,
+  getBidPack
+};
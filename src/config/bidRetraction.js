@@ -0,0 +1,17 @@
+// Reasons a bidder may give for retracting a bid
+//   typo             - entered the wrong amount, e.g. 10000 instead of 1000
+//   listing_changed  - the seller materially changed the item description
+//   seller_unreachable - the seller cannot be contacted
+const RETRACTION_REASONS = ['typo', 'listing_changed', 'seller_unreachable'];
+
+// Time-window rules. More than RETRACTION_CUTOFF_HOURS before the end any
+// bid may be retracted; inside that window only a bid placed within the
+// last RECENT_BID_MINUTES may be.
+const RETRACTION_CUTOFF_HOURS = 12;
+const RECENT_BID_MINUTES = 60;
+
+module.exports = {
+  RETRACTION_REASONS,
+  RETRACTION_CUTOFF_HOURS,
+  RECENT_BID_MINUTES
+};
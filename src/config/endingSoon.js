@@ -0,0 +1,27 @@
+// How long before an auction ends (in seconds) the server broadcasts
+// `auctionEnding` to the room and sends `auction_ending_soon`
+// notifications: 1 hour, 10 minutes and 1 minute
+const DEFAULT_ENDING_SOON_THRESHOLDS = [3600, 600, 60];
+
+// How often (in seconds) rooms of auctions inside the largest threshold
+// receive a `timeSync` with the server clock
+const TIME_SYNC_INTERVAL_SECONDS = 30;
+
+// Allow the thresholds to be overridden with a comma-separated list of
+// seconds in ENDING_SOON_THRESHOLDS. Returned largest first.
+const loadEndingSoonThresholds = () => {
+  const thresholds = (process.env.ENDING_SOON_THRESHOLDS || '')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => Number.isInteger(value) && value > 0);
+
+  return (thresholds.length ? thresholds : DEFAULT_ENDING_SOON_THRESHOLDS)
+    .slice()
+    .sort((a, b) => b - a);
+};
+
+module.exports = {
+  DEFAULT_ENDING_SOON_THRESHOLDS,
+  TIME_SYNC_INTERVAL_SECONDS,
+  loadEndingSoonThresholds
+};
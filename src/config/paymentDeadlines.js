@@ -0,0 +1,17 @@
+// Hours a buyer has to pay once an auction is sold. After that the auction
+// is marked overdue and the seller may make a second-chance offer.
+const PAYMENT_DUE_HOURS = 72;
+
+// Hours a runner-up has to accept or decline a second-chance offer
+const SECOND_CHANCE_OFFER_HOURS = 24;
+
+// Get the payment deadline for a sale made at `from`
+const getPaymentDueAt = (from = new Date()) => {
+  return new Date(from.getTime() + PAYMENT_DUE_HOURS * 60 * 60 * 1000);
+};
+
+module.exports = {
+  PAYMENT_DUE_HOURS,
+  SECOND_CHANCE_OFFER_HOURS,
+  getPaymentDueAt
+};
@@ -2,7 +2,9 @@ const User = require('../models/User');
 const Auction = require('../models/Auction');
 const Bid = require('../models/Bid');
 const Payment = require('../models/Payment');
-const Notification = require('../models/Notification');
+const { createNotification } = require('../services/notifications');
+const ActivityLog = require('../models/ActivityLog');
+const { getRelistRootId } = require('../utils/relistChains');
 
 // @desc    Get all users
 // @route   GET /api/admin/users
@@ -14,6 +16,7 @@ const getUsers = async (req, res) => {
     const startIndex = (page - 1) * limit;
 
     const users = await User.find()
+      .select('+bidRetractionCount +nonPaymentCount')
       .sort({ createdAt: -1 })
       .limit(limit)
       .skip(startIndex);
@@ -45,7 +48,7 @@ const getUsers = async (req, res) => {
 // @access  Private (Admin only)
 const getUser = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await User.findById(req.params.id).select('+bidRetractionCount +nonPaymentCount');
 
     if (!user) {
       return res.status(404).json({
@@ -135,14 +138,22 @@ const getAuctions = async (req, res) => {
     const limit = parseInt(req.query.limit, 10) || 10;
     const startIndex = (page - 1) * limit;
 
-    const auctions = await Auction.find()
+    // ?relisted=true narrows the list to auctions in a relisting chain
+    const query = {};
+    if (req.query.relisted === 'true') {
+      query.$or = [{ relistRoot: { $ne: null } }, { relistedTo: { $ne: null } }];
+    }
+
+    const auctions = await Auction.find(query)
       .populate('seller', 'name email')
       .populate('winner', 'name email')
+      .populate('relistedFrom', 'title status result relistCount')
+      .populate('relistedTo', 'title status result relistCount')
       .sort({ createdAt: -1 })
       .limit(limit)
       .skip(startIndex);
 
-    const total = await Auction.countDocuments();
+    const total = await Auction.countDocuments(query);
 
     res.json({
       success: true,
@@ -153,7 +164,40 @@ const getAuctions = async (req, res) => {
         total,
         pages: Math.ceil(total / limit)
       },
-      data: auctions
+      data: auctions.map(auction => auction.toSellerJSON())
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the relisting chain an auction belongs to
+// @route   GET /api/admin/auctions/:id/relist-chain
+// @access  Private (Admin only)
+const getRelistChain = async (req, res) => {
+  try {
+    const auction = await Auction.findById(req.params.id);
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    const rootId = getRelistRootId(auction);
+    const chain = await Auction.find({ $or: [{ _id: rootId }, { relistRoot: rootId }] })
+      .populate('winner', 'name email')
+      .sort({ relistCount: 1 });
+
+    res.json({
+      success: true,
+      count: chain.length,
+      data: chain.map(listing => listing.toSellerJSON())
     });
   } catch (error) {
     console.error(error);
@@ -283,7 +327,7 @@ const verifyAadhaar = async (req, res) => {
       ? 'Your Aadhaar verification has been completed successfully. You now have verified status.'
       : `Your Aadhaar verification was rejected. Reason: ${notes || 'No reason provided'}`;
 
-    await Notification.create({
+    await createNotification({
       user: user._id,
       type: notificationType,
       title,
@@ -343,6 +387,107 @@ const getPendingVerifications = async (req, res) => {
   }
 };
 
+// @desc    Get bid retractions for review
+// @route   GET /api/admin/bid-retractions
+// @access  Private (Admin only)
+const getBidRetractions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    // Pending retractions by default; ?status=all for every retraction
+    const status = req.query.status || 'pending';
+    const query = { isRetracted: true };
+    if (status !== 'all') {
+      query['retraction.reviewStatus'] = status;
+    }
+
+    const bids = await Bid.find(query)
+      .populate('bidder', 'name email bidRetractionCount')
+      .populate('auction', 'title status endTime seller')
+      .populate('retraction.reviewedBy', 'name')
+      .sort({ 'retraction.retractedAt': -1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    const total = await Bid.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: bids.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: bids
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Review a bid retraction
+// @route   PUT /api/admin/bid-retractions/:id
+// @access  Private (Admin only)
+const reviewBidRetraction = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be approved or rejected'
+      });
+    }
+
+    const bid = await Bid.findOneAndUpdate(
+      { _id: req.params.id, isRetracted: true },
+      {
+        'retraction.reviewStatus': status,
+        'retraction.reviewedBy': req.user._id,
+        'retraction.reviewedAt': new Date(),
+        'retraction.reviewNote': note
+      },
+      { new: true }
+    );
+
+    if (!bid) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retracted bid not found'
+      });
+    }
+
+    // Log activity
+    await ActivityLog.logActivity({
+      user: req.user._id,
+      action: 'admin_action',
+      description: `Bid retraction ${status}`,
+      metadata: { bidId: bid._id, bidderId: bid.bidder, status, note },
+      auction: bid.auction,
+      bid: bid._id
+    });
+
+    res.json({
+      success: true,
+      data: bid
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Handle dispute
 // @route   PUT /api/admin/auctions/:id/dispute
 // @access  Private (Admin only)
@@ -368,7 +513,7 @@ const handleDispute = async (req, res) => {
     await auction.save();
 
     // Create notification
-    await Notification.create({
+    await createNotification({
       user: auction.seller,
       type: 'auction_approved', // Using existing type, could create new dispute type
       title: 'Dispute Resolved',
@@ -403,9 +548,12 @@ module.exports = {
   updateUser,
   deleteUser,
   getAuctions,
+  getRelistChain,
   getStats,
   getPendingAuctions,
   verifyAadhaar,
   getPendingVerifications,
-  handleDispute
+  handleDispute,
+  getBidRetractions,
+  reviewBidRetraction
 };
\ No newline at end of file
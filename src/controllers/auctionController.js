@@ -1,8 +1,24 @@
 const Auction = require('../models/Auction');
 const Bid = require('../models/Bid');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
+const { createNotification } = require('../services/notifications');
 const { uploadToImageKit } = require('../utils/imagekit');
+const {
+  acceptHighestBid,
+  buyNow,
+  acceptDutchPrice,
+  relistAuction
+} = require('../services/auctionLifecycle');
+const { getAuctionWatchers } = require('../socket');
+
+// Fields a seller may change on their auction. Everything else (status,
+// bids, prices reached, settlement) is only ever set by the server.
+const EDITABLE_FIELDS = [
+  'title', 'description', 'category', 'subcategory', 'condition', 'images',
+  'basePrice', 'minAuctionAmount', 'reservePrice', 'buyNowPrice', 'bidIncrement',
+  'softClose', 'auctionType', 'dutch', 'penny', 'quantity', 'allocationMode', 'autoRelist', 'deliveryOptions',
+  'termsAndConditions', 'startTime', 'endTime', 'location', 'shippingInfo', 'shippingCost', 'tags'
+];
 
 // @desc    Get all auctions
 // @route   GET /api/auctions
@@ -20,7 +36,7 @@ const getAuctions = async (req, res) => {
     if (req.query.status) {
       query.status = req.query.status;
     } else {
-      query.status = { $in: ['active', 'pending'] };
+      query.status = { $in: ['active', 'scheduled', 'pending'] };
     }
 
     // Filter by category
@@ -82,6 +98,48 @@ const getAuctions = async (req, res) => {
   }
 };
 
+// @desc    Get approved auctions that have not started yet, soonest first
+// @route   GET /api/auctions/upcoming
+// @access  Public
+const getUpcomingAuctions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const query = { status: 'scheduled' };
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    const auctions = await Auction.find(query)
+      .populate('seller', 'name avatar')
+      .sort({ startTime: 1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    const total = await Auction.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: auctions.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: auctions
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Get single auction
 // @route   GET /api/auctions/:id
 // @access  Public
@@ -89,15 +147,7 @@ const getAuction = async (req, res) => {
   try {
     const auction = await Auction.findById(req.params.id)
       .populate('seller', 'name email avatar phone')
-      .populate('winner', 'name email avatar')
-      .populate({
-        path: 'bids',
-        populate: {
-          path: 'bidder',
-          select: 'name avatar'
-        },
-        options: { sort: { amount: -1 } }
-      });
+      .populate('winner', 'name email avatar');
 
     if (!auction) {
       return res.status(404).json({
@@ -106,13 +156,34 @@ const getAuction = async (req, res) => {
       });
     }
 
+    // Sealed bids stay hidden until the auction closes
+    const hideBids = auction.isSealed && auction.status !== 'completed';
+
+    if (!hideBids) {
+      await auction.populate({
+        path: 'bids',
+        select: '-retraction.explanation -retraction.reviewStatus -retraction.reviewedBy -retraction.reviewedAt -retraction.reviewNote',
+        populate: {
+          path: 'bidder',
+          select: 'name avatar'
+        },
+        options: { sort: { amount: auction.isReverse ? 1 : -1 } }
+      });
+    }
+
     // Increment view count
     auction.views += 1;
     await auction.save();
 
+    const data = auction.toJSON();
+    if (hideBids) {
+      data.bidCount = data.bids.length;
+      data.bids = [];
+    }
+
     res.json({
       success: true,
-      data: auction
+      data
     });
   } catch (error) {
     console.error(error);
@@ -131,10 +202,12 @@ const createAuction = async (req, res) => {
     // Add seller to req.body
     req.body.seller = req.user._id;
 
-    // Set default minIncrement if not provided (for backward compatibility)
-    if (!req.body.minIncrement) {
-      req.body.minIncrement = 10; // Default increment of ₹10
+    // Accept the legacy minIncrement field as a flat bid increment. When
+    // neither is set, the platform increment tiers apply.
+    if (req.body.minIncrement && !req.body.bidIncrement) {
+      req.body.bidIncrement = req.body.minIncrement;
     }
+    delete req.body.minIncrement;
 
     // Upload images to ImageKit
     if (req.files && req.files.length > 0) {
@@ -150,7 +223,7 @@ const createAuction = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      data: auction
+      data: auction.toSellerJSON()
     });
   } catch (error) {
     console.error(error);
@@ -173,7 +246,7 @@ const createAuction = async (req, res) => {
 // @access  Private (Seller/Admin only)
 const updateAuction = async (req, res) => {
   try {
-    let auction = await Auction.findById(req.params.id);
+    const auction = await Auction.findById(req.params.id);
 
     if (!auction) {
       return res.status(404).json({
@@ -190,7 +263,8 @@ const updateAuction = async (req, res) => {
       });
     }
 
-    // Don't allow updates if auction has bids
+    // Don't allow updates if auction has bids, including a format or price
+    // change that would alter what bidders agreed to
     if (auction.bids.length > 0) {
       return res.status(400).json({
         success: false,
@@ -198,17 +272,41 @@ const updateAuction = async (req, res) => {
       });
     }
 
-    auction = await Auction.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
+    // Accept the legacy minIncrement field, as on creation
+    if (req.body.minIncrement && !req.body.bidIncrement) {
+      req.body.bidIncrement = req.body.minIncrement;
+    }
+
+    // Saving the document runs the same validation as creation, including
+    // the rules for each auction format; it only matches while the auction
+    // still has no bids
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        auction.set(field, req.body[field]);
+      }
     });
+    auction.$where = { bids: { $size: 0 } };
+    await auction.save();
 
     res.json({
       success: true,
-      data: auction
+      data: auction.toSellerJSON()
     });
   } catch (error) {
     console.error(error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot update auction that has received bids'
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -275,19 +373,25 @@ const approveAuction = async (req, res) => {
       });
     }
 
+    // Auctions that start later wait in `scheduled`; the scheduler
+    // activates them at their start time
+    const startsLater = new Date(auction.startTime) > new Date();
+
     auction.isApproved = true;
-    auction.status = 'active';
+    auction.status = startsLater ? 'scheduled' : 'active';
     auction.approvedBy = req.user._id;
     auction.approvedAt = new Date();
 
     await auction.save();
 
     // Create notification for seller
-    await Notification.create({
+    await createNotification({
       user: auction.seller,
       type: 'auction_approved',
       title: 'Auction Approved',
-      message: `Your auction "${auction.title}" has been approved and is now live.`,
+      message: startsLater
+        ? `Your auction "${auction.title}" has been approved and will go live on ${new Date(auction.startTime).toUTCString()}.`
+        : `Your auction "${auction.title}" has been approved and is now live.`,
       auction: auction._id
     });
 
@@ -304,6 +408,345 @@ const approveAuction = async (req, res) => {
   }
 };
 
+// @desc    Accept the highest bid on an auction that ended below its reserve
+// @route   PUT /api/auctions/:id/accept-highest-bid
+// @access  Private (Seller only)
+const acceptHighestBidOnAuction = async (req, res) => {
+  try {
+    const auction = await Auction.findById(req.params.id);
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    if (auction.seller.toString() !== req.user._id.toString()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to update this auction'
+      });
+    }
+
+    if (auction.result !== 'reserve_not_met' || auction.relistedTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only auctions that ended below their reserve price can accept the highest bid'
+      });
+    }
+
+    const accepted = await acceptHighestBid(auction, req.app.get('io'));
+
+    if (!accepted) {
+      return res.status(400).json({
+        success: false,
+        message: 'This auction can no longer accept the highest bid'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: accepted.toSellerJSON()
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Relist an auction that ended unsold
+// @route   POST /api/auctions/:id/relist
+// @access  Private (Seller only)
+const relistUnsoldAuction = async (req, res) => {
+  try {
+    const auction = await Auction.findById(req.params.id);
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    if (auction.seller.toString() !== req.user._id.toString()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to relist this auction'
+      });
+    }
+
+    if (!['no_bids', 'reserve_not_met'].includes(auction.result) || auction.relistedTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only unsold auctions that have not been relisted can be relisted'
+      });
+    }
+
+    // Sellers may adjust pricing and timing for the new listing
+    const overrides = {};
+    ['basePrice', 'minAuctionAmount', 'reservePrice', 'startTime', 'endTime'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        overrides[field] = req.body[field];
+      }
+    });
+
+    const relisted = await relistAuction(auction, overrides);
+
+    if (!relisted) {
+      return res.status(400).json({
+        success: false,
+        message: 'This auction has already been relisted'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: relisted.toSellerJSON()
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Buy an auction outright at its buy-now price
+// @route   POST /api/auctions/:id/buy-now
+// @access  Private
+const buyAuctionNow = async (req, res) => {
+  try {
+    const auction = await Auction.findById(req.params.id);
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    if (auction.seller.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sellers cannot buy their own auctions'
+      });
+    }
+
+    if (!auction.buyNowAvailable) {
+      return res.status(400).json({
+        success: false,
+        message: 'Buy now is not available for this auction'
+      });
+    }
+
+    const purchase = await buyNow(auction, req.user._id, req.app.get('io'));
+
+    if (!purchase) {
+      return res.status(409).json({
+        success: false,
+        message: 'Buy now is no longer available for this auction'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Purchase complete. Please proceed to payment.',
+      data: purchase.auction,
+      bid: purchase.bid,
+      payment: {
+        auctionId: purchase.auction._id,
+        amount: purchase.auction.finalPrice
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Accept the current price of a Dutch auction
+// @route   POST /api/auctions/:id/accept-price
+// @access  Private
+const acceptDutchAuctionPrice = async (req, res) => {
+  try {
+    const auction = await Auction.findById(req.params.id);
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    if (auction.auctionType !== 'dutch') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only Dutch auctions can be won by accepting the current price'
+      });
+    }
+
+    if (auction.seller.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sellers cannot buy their own auctions'
+      });
+    }
+
+    if (auction.status !== 'active' || new Date() > new Date(auction.endTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Auction is not active'
+      });
+    }
+
+    const purchase = await acceptDutchPrice(auction, req.user._id, req.app.get('io'));
+
+    if (!purchase) {
+      return res.status(409).json({
+        success: false,
+        message: 'This auction has already been won'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Purchase complete. Please proceed to payment.',
+      data: purchase.auction,
+      bid: purchase.bid,
+      payment: {
+        auctionId: purchase.auction._id,
+        amount: purchase.auction.finalPrice
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Ask to be notified when a scheduled auction starts
+// @route   POST /api/auctions/:id/notify-start
+// @access  Private
+const subscribeToAuctionStart = async (req, res) => {
+  try {
+    const auction = await Auction.findOneAndUpdate(
+      { _id: req.params.id, status: 'scheduled' },
+      { $addToSet: { startSubscribers: req.user._id } },
+      { new: true }
+    );
+
+    if (!auction) {
+      const exists = await Auction.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Only upcoming auctions can be subscribed to' : 'Auction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You will be notified when this auction starts'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Stop waiting for a scheduled auction to start
+// @route   DELETE /api/auctions/:id/notify-start
+// @access  Private
+const unsubscribeFromAuctionStart = async (req, res) => {
+  try {
+    const auction = await Auction.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { startSubscribers: req.user._id } }
+    );
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Start notification cancelled'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get who is watching an auction, and the peak watcher count
+// @route   GET /api/auctions/:id/watchers
+// @access  Private (Seller/Admin only)
+const getAuctionWatcherList = async (req, res) => {
+  try {
+    const auction = await Auction.findById(req.params.id);
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    if (auction.seller.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view watchers of this auction'
+      });
+    }
+
+    // Nobody is in the room once the auction has ended, but the peak stays
+    const watcherIds = await getAuctionWatchers(auction._id);
+    const watchers = await User.find({ _id: { $in: watcherIds } }).select('name avatar');
+
+    res.json({
+      success: true,
+      data: {
+        activeWatchers: watchers.length,
+        watchers,
+        peakWatchers: auction.peakWatchers,
+        peakWatchersAt: auction.peakWatchersAt
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Get auctions by seller
 // @route   GET /api/auctions/seller/:sellerId
 // @access  Public
@@ -339,7 +782,7 @@ const getMyAuctions = async (req, res) => {
     res.json({
       success: true,
       count: auctions.length,
-      data: auctions
+      data: auctions.map(auction => auction.toSellerJSON())
     });
   } catch (error) {
     console.error(error);
@@ -356,7 +799,7 @@ const getMyAuctions = async (req, res) => {
 const getWonAuctions = async (req, res) => {
   try {
     const auctions = await Auction.find({
-      winner: req.user._id,
+      $or: [{ winner: req.user._id }, { 'winners.user': req.user._id }],
       status: 'completed'
     })
       .populate('seller', 'name avatar email sellerRating')
@@ -402,11 +845,19 @@ const getActiveUsers = async (req, res) => {
 
 module.exports = {
   getAuctions,
+  getUpcomingAuctions,
   getAuction,
   createAuction,
   updateAuction,
   deleteAuction,
   approveAuction,
+  acceptHighestBidOnAuction,
+  relistUnsoldAuction,
+  buyAuctionNow,
+  acceptDutchAuctionPrice,
+  subscribeToAuctionStart,
+  unsubscribeFromAuctionStart,
+  getAuctionWatcherList,
   getAuctionsBySeller,
   getMyAuctions,
   getWonAuctions,
@@ -1,15 +1,53 @@
 const Bid = require('../models/Bid');
 const Auction = require('../models/Auction');
-const Notification = require('../models/Notification');
+const MaxBid = require('../models/MaxBid');
+const { createNotification } = require('../services/notifications');
+const { getNextMinimumBid } = require('../utils/bidIncrement');
+const { allocateLot } = require('../utils/lotAllocation');
+const {
+  findLeadingBid,
+  getRequiredBid,
+  resolveProxyBids,
+  setMaxBid
+} = require('../services/proxyBidding');
+const { announceSoftClose } = require('../services/softClose');
+const { retractStandingBid } = require('../services/bidRetraction');
+const { emitToAuction } = require('../socket');
+const {
+  acceptBid,
+  acceptLotBid,
+  acceptPennyBid,
+  acceptSealedBid,
+  raiseBid,
+  reviseSealedBid
+} = require('../services/bidding');
 
 // @desc    Get bids for an auction
 // @route   GET /api/bids/auction/:auctionId
 // @access  Public
 const getBidsForAuction = async (req, res) => {
   try {
+    // Sealed bids stay hidden until the auction closes
+    const auction = await Auction.findById(req.params.auctionId).select('auctionType status');
+    const amountOrder = auction && auction.isReverse ? 1 : -1;
+    if (auction && auction.isSealed && auction.status !== 'completed') {
+      const count = await Bid.countDocuments({ auction: req.params.auctionId }).standing();
+
+      return res.json({
+        success: true,
+        sealed: true,
+        count,
+        data: []
+      });
+    }
+
+    // Best bids first: lowest on reverse auctions. Retracted bids stay in
+    // the history, flagged with isRetracted and the reason given; the
+    // bidder's explanation and the admin review are not public.
     const bids = await Bid.find({ auction: req.params.auctionId })
+      .select('-retraction.explanation -retraction.reviewStatus -retraction.reviewedBy -retraction.reviewedAt -retraction.reviewNote')
       .populate('bidder', 'name avatar')
-      .sort({ amount: -1, createdAt: -1 });
+      .sort({ amount: amountOrder, createdAt: -1 });
 
     res.json({
       success: true,
@@ -25,12 +63,194 @@ const getBidsForAuction = async (req, res) => {
   }
 };
 
-// @desc    Place a bid
+// Place a sealed bid. Nobody but the bidder learns the amount; the room
+// only hears that the number of bids changed.
+const placeSealedBid = async (req, res, auction) => {
+  const io = req.app.get('io');
+
+  if (req.body.maxAmount !== undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Proxy bidding is not available on sealed-bid auctions'
+    });
+  }
+
+  const accepted = await acceptSealedBid({
+    auctionId: auction._id,
+    bidderId: req.user._id,
+    amount: req.body.amount
+  });
+
+  // Notify seller of new bid without revealing it
+  await createNotification({
+    user: auction.seller,
+    type: 'bid_received',
+    title: 'New sealed bid received',
+    message: `A sealed bid was placed on your auction "${auction.title}"`,
+    auction: auction._id,
+    bid: accepted.bid._id
+  });
+
+  await emitToAuction(io, auction._id, 'sealedBidPlaced', {
+    auctionId: auction._id,
+    bidCount: accepted.auction.bids.length
+  });
+
+  res.status(201).json({
+    success: true,
+    data: accepted.bid
+  });
+};
+
+// Place a penny auction bid. The price and countdown are set by the
+// auction, so any amount sent is ignored; the bid costs one credit.
+const placePennyBid = async (req, res, auction) => {
+  const io = req.app.get('io');
+
+  if (req.body.maxAmount !== undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Proxy bidding is not available on penny auctions'
+    });
+  }
+
+  const previousLeader = await Bid.findOne({ auction: auction._id }).sort({ amount: -1 });
+
+  const accepted = await acceptPennyBid({
+    auctionId: auction._id,
+    bidderId: req.user._id
+  });
+  const bid = accepted.bid;
+  await bid.populate('bidder', 'name avatar');
+
+  if (previousLeader && previousLeader.bidder.toString() !== req.user._id.toString()) {
+    await createNotification({
+      user: previousLeader.bidder,
+      type: 'outbid',
+      title: 'You have been outbid',
+      message: `Someone placed a higher bid on "${auction.title}"`,
+      auction: auction._id,
+      bid: bid._id
+    });
+  }
+
+  await emitToAuction(io, auction._id, 'newBid', {
+    bid: {
+      _id: bid._id,
+      amount: bid.amount,
+      bidder: {
+        _id: bid.bidder._id,
+        name: bid.bidder.name,
+        avatar: bid.bidder.avatar
+      },
+      timestamp: bid.timestamp
+    },
+    currentBid: accepted.auction.currentBid,
+    nextMinimumBid: accepted.auction.nextMinimumBid,
+    endTime: accepted.auction.endTime,
+    bidderCount: accepted.auction.bids.length
+  });
+
+  res.status(201).json({
+    success: true,
+    data: bid,
+    bidCredits: accepted.bidCredits
+  });
+};
+
+// Tell everyone about an accepted bid: outbid users, the seller and the
+// auction room. Raises (bids that supersede an earlier one) are announced
+// as updates, followed by any soft-close extension the bid earned. Then
+// let proxy ceilings respond.
+const announceBid = async (req, auction, bid, extension) => {
+  const io = req.app.get('io');
+
+  // Populate bidder info
+  await bid.populate('bidder', 'name avatar');
+
+  // Get all previous bids for this auction to find outbid users
+  const previousBids = await Bid.find({ auction: auction._id }).standing()
+    .populate('bidder', 'name email')
+    .sort({ amount: auction.isReverse ? 1 : -1 });
+
+  // Find who was outbid: on lots, bidders who no longer win any units;
+  // otherwise the previous best bidder
+  const otherBids = previousBids.filter(b => b._id.toString() !== bid._id.toString());
+  let outbidUserIds = [];
+  if (auction.isLot) {
+    const stillWinning = new Set(
+      allocateLot(auction, previousBids).allocations.map(a => a.user.toString())
+    );
+    outbidUserIds = allocateLot(auction, otherBids).allocations
+      .map(a => a.user)
+      .filter(userId => !stillWinning.has(userId.toString()));
+  } else if (otherBids.length > 0) {
+    outbidUserIds = [otherBids[0].bidder._id];
+  }
+
+  // Notify outbid users
+  for (const userId of outbidUserIds) {
+    await createNotification({
+      user: userId,
+      type: 'outbid',
+      title: 'You have been outbid',
+      message: `Someone placed a ${auction.isReverse ? 'lower' : 'higher'} bid on "${auction.title}"`,
+      auction: auction._id,
+      bid: bid._id
+    });
+  }
+
+  // Notify seller of new bid
+  await createNotification({
+    user: auction.seller,
+    type: bid.supersedes ? 'bid_updated' : 'bid_received',
+    title: bid.supersedes ? 'Bid raised' : 'New bid received',
+    message: bid.supersedes
+      ? `A bid was raised to $${bid.amount} on your auction "${auction.title}"`
+      : `A new bid of $${bid.amount} was placed on your auction "${auction.title}"`,
+    auction: auction._id,
+    bid: bid._id
+  });
+
+  // Emit real-time updates via Socket.io
+  await emitToAuction(io, auction._id, bid.supersedes ? 'bidUpdated' : 'newBid', {
+    bid: {
+      _id: bid._id,
+      amount: bid.amount,
+      bidder: {
+        _id: bid.bidder._id,
+        name: bid.bidder.name,
+        avatar: bid.bidder.avatar
+      },
+      quantity: bid.quantity,
+      supersedes: bid.supersedes,
+      timestamp: bid.timestamp
+    },
+    currentBid: auction.currentBid,
+    nextMinimumBid: auction.nextMinimumBid,
+    nextMaximumBid: auction.nextMaximumBid,
+    buyNowAvailable: auction.buyNowAvailable,
+    bidderCount: previousBids.length + 1
+  });
+
+  // Late bids pushed the end time out when they were accepted
+  if (extension) {
+    await announceSoftClose(io, auction._id, extension, bid._id);
+  }
+
+  // Let proxy ceilings respond to the new leader
+  if (!auction.isReverse && !auction.isLot) {
+    await resolveProxyBids(auction._id, io);
+  }
+};
+
+// @desc    Place a bid, optionally with a secret maximum for proxy bidding
 // @route   POST /api/bids
 // @access  Private (Authenticated users)
 const placeBid = async (req, res) => {
   try {
-    const { auctionId, amount } = req.body;
+    const { auctionId, maxAmount } = req.body;
+    let { amount } = req.body;
     const io = req.app.get('io');
 
     // Check if auction exists and is active
@@ -61,76 +281,138 @@ const placeBid = async (req, res) => {
     if (auction.seller.toString() === req.user._id.toString()) {
       return res.status(400).json({
         success: false,
-        message: 'Sellers cannot bid on their own auctions'
+        message: auction.isReverse
+          ? 'Buyers cannot bid on their own requests'
+          : 'Sellers cannot bid on their own auctions'
       });
     }
 
-    // Create the bid (validation happens in pre-save middleware)
-    const bid = await Bid.create({
-      auction: auctionId,
-      bidder: req.user._id,
-      amount
-    });
+    // Bidders on reverse auctions are selling, so they need the seller permission
+    if (auction.isReverse) {
+      if (req.user.role !== 'admin' && !(req.user.permissions && req.user.permissions.canCreateAuction)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only sellers can bid on procurement requests'
+        });
+      }
+
+      if (maxAmount !== undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Proxy bidding is not available on reverse auctions'
+        });
+      }
+    }
 
-    // Populate bidder info
-    await bid.populate('bidder', 'name avatar');
-
-    // Get all previous bids for this auction to find outbid users
-    const previousBids = await Bid.find({ auction: auctionId })
-      .populate('bidder', 'name email')
-      .sort({ amount: -1 });
-
-    // Find the highest bid (excluding current bid)
-    const highestPreviousBid = previousBids.find(b => b._id.toString() !== bid._id.toString());
-
-    // Notify outbid users
-    if (highestPreviousBid) {
-      await Notification.create({
-        user: highestPreviousBid.bidder._id,
-        type: 'outbid',
-        title: 'You have been outbid',
-        message: `Someone placed a higher bid on "${auction.title}"`,
-        auction: auctionId,
-        bid: bid._id
+    if (auction.auctionType === 'dutch') {
+      return res.status(400).json({
+        success: false,
+        message: 'Dutch auctions are won by accepting the current price'
       });
     }
 
-    // Notify seller of new bid
-    await Notification.create({
-      user: auction.seller,
-      type: 'bid_received',
-      title: 'New bid received',
-      message: `A new bid of $${amount} was placed on your auction "${auction.title}"`,
-      auction: auctionId,
-      bid: bid._id
-    });
+    // Sealed auctions take one hidden bid per bidder
+    if (auction.isSealed) {
+      return await placeSealedBid(req, res, auction);
+    }
 
-    // Emit real-time updates via Socket.io
-    io.to(auctionId).emit('newBid', {
-      bid: {
-        _id: bid._id,
-        amount: bid.amount,
-        bidder: {
-          _id: bid.bidder._id,
-          name: bid.bidder.name,
-          avatar: bid.bidder.avatar
-        },
-        timestamp: bid.timestamp
-      },
-      currentBid: auction.currentBid,
-      bidderCount: previousBids.length + 1
-    });
+    // Penny auction bids are paid for with a credit
+    if (auction.auctionType === 'penny') {
+      return await placePennyBid(req, res, auction);
+    }
+
+    if (auction.isLot && maxAmount !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Proxy bidding is not available on multi-quantity lots'
+      });
+    }
+
+    const nextMinimumBid = getNextMinimumBid(auction);
+
+    let maxBid = null;
+    if (maxAmount !== undefined) {
+      const leadingBid = await findLeadingBid(auctionId);
+      const isLeading = leadingBid && leadingBid.bidder.toString() === req.user._id.toString();
+      const existingMaxBid = await MaxBid.findOne({ auction: auctionId, bidder: req.user._id });
+
+      if (!Number.isInteger(maxAmount) || (amount !== undefined && maxAmount < amount)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maximum bid must be a whole number no lower than your bid amount',
+          nextMinimumBid
+        });
+      }
+
+      if (existingMaxBid && maxAmount <= existingMaxBid.maxAmount) {
+        return res.status(400).json({
+          success: false,
+          message: `Maximum bid must be higher than your current maximum of ₹${existingMaxBid.maxAmount}`,
+          nextMinimumBid
+        });
+      }
+
+      const requiredBid = getRequiredBid(auction, leadingBid);
+      if (!isLeading && maxAmount < requiredBid) {
+        return res.status(400).json({
+          success: false,
+          message: `Maximum bid must be at least ₹${requiredBid}`,
+          nextMinimumBid
+        });
+      }
+
+      maxBid = await setMaxBid(auctionId, req.user._id, maxAmount);
+
+      // A leader raising their ceiling does not place a new bid; anyone
+      // else opens at the minimum and lets the proxy take it from there
+      if (isLeading && amount === undefined) {
+        await resolveProxyBids(auctionId, io);
+
+        return res.status(200).json({
+          success: true,
+          data: null,
+          maxBid: { maxAmount: maxBid.maxAmount }
+        });
+      }
+
+      if (amount === undefined) {
+        amount = requiredBid;
+      }
+    }
+
+    // Accept the bid atomically; rejects amounts below the next minimum
+    // (or above the next maximum on reverse auctions). Lot bids are for a
+    // number of units at `amount` each.
+    const accepted = auction.isLot
+      ? await acceptLotBid({
+        auctionId,
+        bidderId: req.user._id,
+        amount,
+        quantity: req.body.quantity === undefined ? 1 : req.body.quantity
+      })
+      : await acceptBid({
+        auctionId,
+        bidderId: req.user._id,
+        amount
+      });
+    const bid = accepted.bid;
+    auction.currentBid = accepted.auction.currentBid;
+
+    await announceBid(req, auction, bid, accepted.extension);
 
     res.status(201).json({
       success: true,
-      data: bid
+      data: bid,
+      maxBid: maxBid ? { maxAmount: maxBid.maxAmount } : null
     });
   } catch (error) {
     console.error(error);
-    if (error.message.includes('Bid must be higher')) {
-      return res.status(400).json({
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: error.message
+        message: error.message,
+        nextMinimumBid: error.nextMinimumBid,
+        nextMaximumBid: error.nextMaximumBid
       });
     }
     res.status(500).json({
@@ -148,7 +430,7 @@ const getMyBids = async (req, res) => {
     const bids = await Bid.find({ bidder: req.user._id })
       .populate({
         path: 'auction',
-        select: 'title status endTime currentBid images',
+        select: 'title status endTime currentBid minAuctionAmount bidIncrement images',
         populate: {
           path: 'seller',
           select: 'name'
@@ -170,13 +452,12 @@ const getMyBids = async (req, res) => {
   }
 };
 
-// @desc    Update a bid
+// @desc    Raise a bid (stored as a new bid)
 // @route   PUT /api/bids/:id
 // @access  Private (Bid owner only)
 const updateBid = async (req, res) => {
   try {
     const { amount } = req.body;
-    const io = req.app.get('io');
 
     const bid = await Bid.findById(req.params.id);
     if (!bid) {
@@ -194,6 +475,22 @@ const updateBid = async (req, res) => {
       });
     }
 
+    if (bid.isRetracted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Retracted bids cannot be updated'
+      });
+    }
+
+    // Only the latest bid in a chain of raises can be raised again
+    if (bid.isSuperseded) {
+      return res.status(409).json({
+        success: false,
+        message: 'This bid has already been raised; update your latest bid instead',
+        supersededBy: bid.supersededBy
+      });
+    }
+
     // Check if auction is still active
     const auction = await Auction.findById(bid.auction);
     if (!auction || auction.status !== 'active') {
@@ -211,72 +508,115 @@ const updateBid = async (req, res) => {
       });
     }
 
-    // Update the bid amount
-    bid.amount = amount;
-    await bid.save();
-
-    // Populate bidder info
-    await bid.populate('bidder', 'name avatar');
-
-    // Get all previous bids for this auction to find outbid users
-    const previousBids = await Bid.find({ auction: bid.auction })
-      .populate('bidder', 'name email')
-      .sort({ amount: -1 });
-
-    // Find the highest bid
-    const highestBid = previousBids[0];
-
-    // Update auction's currentBid
-    auction.currentBid = highestBid.amount;
-    await auction.save();
-
-    // Notify outbid users (excluding the bidder who just updated)
-    const outbidUsers = previousBids.filter(b => b._id.toString() !== bid._id.toString() && b.amount < highestBid.amount);
-    for (const outbidBid of outbidUsers) {
-      await Notification.create({
-        user: outbidBid.bidder._id,
-        type: 'outbid',
-        title: 'You have been outbid',
-        message: `Someone placed a higher bid on "${auction.title}"`,
+    if (auction.auctionType === 'penny') {
+      return res.status(400).json({
+        success: false,
+        message: 'Penny auction bids cannot be edited'
+      });
+    }
+
+    // Bids can only be improved; withdrawing one goes through retraction
+    const improves = auction.isReverse ? amount < bid.amount : amount > bid.amount;
+    if (!Number.isInteger(amount) || !improves) {
+      return res.status(400).json({
+        success: false,
+        message: auction.isReverse
+          ? `New amount must be lower than your current bid of ₹${bid.amount}; to withdraw a bid, retract it instead`
+          : `New amount must be higher than your current bid of ₹${bid.amount}; to withdraw a bid, retract it instead`,
+        nextMinimumBid: auction.nextMinimumBid,
+        nextMaximumBid: auction.nextMaximumBid
+      });
+    }
+
+    // Sealed bids are revised with a new sealed bid and stay hidden
+    if (auction.isSealed) {
+      const { bid: revised } = await reviseSealedBid({ bid, amount });
+
+      await createNotification({
+        user: auction.seller,
+        type: 'bid_updated',
+        title: 'Sealed bid revised',
+        message: `A sealed bid was revised on your auction "${auction.title}"`,
         auction: bid.auction,
-        bid: bid._id
+        bid: revised._id
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: revised
       });
     }
 
-    // Notify seller of updated bid
-    await Notification.create({
-      user: auction.seller,
-      type: 'bid_updated',
-      title: 'Bid updated',
-      message: `A bid was updated to $${amount} on your auction "${auction.title}"`,
-      auction: bid.auction,
-      bid: bid._id
+    // The raise is stored as a new bid; the original stays in the history
+    const accepted = await raiseBid({ bid, amount, quantity: req.body.quantity });
+    const raised = accepted.bid;
+    auction.currentBid = accepted.auction.currentBid;
+
+    await announceBid(req, auction, raised, accepted.extension);
+
+    res.status(201).json({
+      success: true,
+      data: raised
     });
+  } catch (error) {
+    console.error(error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        nextMinimumBid: error.nextMinimumBid,
+        nextMaximumBid: error.nextMaximumBid
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
 
-    // Emit real-time updates via Socket.io
-    io.to(bid.auction.toString()).emit('bidUpdated', {
-      bid: {
-        _id: bid._id,
-        amount: bid.amount,
-        bidder: {
-          _id: bid.bidder._id,
-          name: bid.bidder.name,
-          avatar: bid.bidder.avatar
-        },
-        timestamp: bid.timestamp
-      },
+// @desc    Retract a bid for one of the allowed reasons
+// @route   POST /api/bids/:id/retract
+// @access  Private (Bid owner only)
+const retractBid = async (req, res) => {
+  try {
+    const { reason, explanation } = req.body;
+    const io = req.app.get('io');
+
+    const { bid, auction } = await retractStandingBid({
+      bidId: req.params.id,
+      userId: req.user._id,
+      reason,
+      explanation
+    });
+
+    // Sealed auctions only reveal the bid count
+    await emitToAuction(io, auction._id, 'bidRetracted', auction.isSealed ? {
+      auctionId: auction._id,
+      bidCount: auction.bids.length
+    } : {
+      auctionId: auction._id,
+      bidId: bid._id,
       currentBid: auction.currentBid,
-      bidderCount: previousBids.length
+      nextMinimumBid: auction.nextMinimumBid,
+      nextMaximumBid: auction.nextMaximumBid,
+      bidCount: auction.bids.length
     });
 
+    // The restored leader's proxy ceiling may need to respond
+    if (!auction.isSealed && !auction.isReverse && !auction.isLot) {
+      await resolveProxyBids(auction._id, io);
+    }
+
     res.json({
       success: true,
-      data: bid
+      data: bid,
+      currentBid: auction.isSealed ? undefined : auction.currentBid
     });
   } catch (error) {
     console.error(error);
-    if (error.message.includes('Bid must be')) {
-      return res.status(400).json({
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
         message: error.message
       });
@@ -322,6 +662,19 @@ const getBid = async (req, res) => {
       });
     }
 
+    // Only the bidder can see a sealed bid before the auction closes
+    if (
+      bid.auction.isSealed &&
+      bid.auction.status !== 'completed' &&
+      bid.bidder._id.toString() !== req.user._id.toString() &&
+      req.user.role !== 'admin'
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Sealed bids are hidden until the auction closes'
+      });
+    }
+
     res.json({
       success: true,
       data: bid
@@ -339,6 +692,7 @@ module.exports = {
   getBidsForAuction,
   placeBid,
   updateBid,
+  retractBid,
   getMyBids,
   getBid
 };
\ No newline at end of file
@@ -0,0 +1,58 @@
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const { BID_PACKS } = require('../config/bidPacks');
+
+// @desc    Get the bid packs on sale
+// @route   GET /api/bid-credits/packs
+// @access  Public
+const getBidPacks = async (req, res) => {
+  res.json({
+    success: true,
+    data: BID_PACKS
+  });
+};
+
+// @desc    Get user's bid credit balance and ledger history
+// @route   GET /api/bid-credits
+// @access  Private
+const getMyBidCredits = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const user = await User.findById(req.user._id).select('bidCredits');
+
+    const transactions = await CreditTransaction.find({ user: req.user._id })
+      .populate('auction', 'title')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    const total = await CreditTransaction.countDocuments({ user: req.user._id });
+
+    res.json({
+      success: true,
+      bidCredits: user.bidCredits,
+      count: transactions.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: transactions
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getBidPacks,
+  getMyBidCredits
+};
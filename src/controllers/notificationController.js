@@ -1,4 +1,5 @@
 const Notification = require('../models/Notification');
+const { pushUnreadCount } = require('../services/notifications');
 
 // @desc    Get user's notifications
 // @route   GET /api/notifications
@@ -60,6 +61,7 @@ const markAsRead = async (req, res) => {
 
     notification.isRead = true;
     await notification.save();
+    await pushUnreadCount(req.user._id);
 
     res.json({
       success: true,
@@ -83,6 +85,7 @@ const markAllAsRead = async (req, res) => {
       { user: req.user._id, isRead: false },
       { isRead: true }
     );
+    await pushUnreadCount(req.user._id);
 
     res.json({
       success: true,
@@ -142,6 +145,7 @@ const deleteNotification = async (req, res) => {
     }
 
     await notification.remove();
+    await pushUnreadCount(req.user._id);
 
     res.json({
       success: true,
@@ -2,8 +2,16 @@ const Razorpay = require('razorpay');
 const crypto = require('crypto');
 const Payment = require('../models/Payment');
 const Auction = require('../models/Auction');
-const Notification = require('../models/Notification');
 const ActivityLog = require('../models/ActivityLog');
+const { getBidPack } = require('../config/bidPacks');
+const { toPaise } = require('../utils/paymentBreakdown');
+const {
+  getAuctionPaymentBreakdown,
+  isValidWebhookSignature,
+  completePayment,
+  failPayment,
+  processWebhookEvent
+} = require('../services/payments');
 
 // Lazy initialization of Razorpay
 let razorpay = null;
@@ -17,14 +25,73 @@ const getRazorpay = () => {
   return razorpay;
 };
 
-// @desc    Create Razorpay order
+// Start a bid pack purchase. The price comes from the pack, not the client.
+const createBidPackOrder = async (req, res) => {
+  const pack = getBidPack(req.body.bidPackId);
+  if (!pack) {
+    return res.status(404).json({
+      success: false,
+      message: 'Bid pack not found'
+    });
+  }
+
+  const razorpayInstance = getRazorpay();
+  if (!razorpayInstance) {
+    return res.status(500).json({
+      success: false,
+      message: 'Payment service not configured'
+    });
+  }
+
+  const order = await razorpayInstance.orders.create({
+    amount: toPaise(pack.price), // amount in paisa
+    currency: 'INR',
+    receipt: `bidpack_${pack.id}_${Date.now()}`,
+    payment_capture: 1
+  });
+
+  const payment = await Payment.create({
+    user: req.user._id,
+    amount: pack.price,
+    currency: 'INR',
+    status: 'pending',
+    paymentMethod: 'razorpay',
+    transactionId: order.id,
+    orderId: order.id,
+    description: `${pack.name} bid pack`,
+    bidPackId: pack.id,
+    bidCredits: pack.credits
+  });
+
+  await ActivityLog.logActivity({
+    user: req.user._id,
+    action: 'payment_initiated',
+    description: `Payment initiated for ${pack.name} bid pack`,
+    metadata: { bidPackId: pack.id, amount: pack.price, orderId: order.id },
+    payment: payment._id
+  });
+
+  res.status(200).json({
+    success: true,
+    order,
+    paymentId: payment._id
+  });
+};
+
+// @desc    Create Razorpay order for an auction or a bid pack. The amount
+//          is computed here; buyers may send `delivery: 'pickup'` to skip
+//          shipping where the seller allows collection.
 // @route   POST /api/payments/create-order
 // @access  Private
 const createOrder = async (req, res) => {
   try {
-    const { auctionId, amount } = req.body;
+    const { auctionId, delivery } = req.body;
+
+    if (req.body.bidPackId) {
+      return await createBidPackOrder(req, res);
+    }
 
-    // Validate auction exists and user won it
+    // Validate auction exists and user is the one who owes payment
     const auction = await Auction.findById(auctionId);
     if (!auction) {
       return res.status(404).json({
@@ -33,10 +100,15 @@ const createOrder = async (req, res) => {
       });
     }
 
-    if (auction.winner.toString() !== req.user._id.toString()) {
+    // Lots are paid for separately by each winner, for their own units
+    const winnerEntry = auction.isLot ? auction.getWinnerEntry(req.user._id) : null;
+    const buyerId = auction.getBuyerId();
+    if (auction.isLot ? !winnerEntry : (!buyerId || buyerId.toString() !== req.user._id.toString())) {
       return res.status(403).json({
         success: false,
-        message: 'You are not the winner of this auction'
+        message: auction.isReverse
+          ? 'Only the buyer who posted this request can pay for it'
+          : 'You are not the winner of this auction'
       });
     }
 
@@ -47,11 +119,25 @@ const createOrder = async (req, res) => {
       });
     }
 
+    if ((winnerEntry || auction).paymentStatus === 'overdue') {
+      return res.status(400).json({
+        success: false,
+        message: 'The payment deadline for this auction has passed'
+      });
+    }
+
+    if ((winnerEntry || auction).paymentStatus === 'refunded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Your payment for this auction has been refunded'
+      });
+    }
+
     // Check if payment already exists
     const existingPayment = await Payment.findOne({
       user: req.user._id,
       auction: auctionId,
-      status: { $in: ['pending', 'completed'] }
+      status: { $in: ['pending', 'completed', 'flagged'] }
     });
 
     if (existingPayment) {
@@ -61,8 +147,11 @@ const createOrder = async (req, res) => {
       });
     }
 
+    // Charge what is owed, never what the client asks for
+    const breakdown = getAuctionPaymentBreakdown(auction, winnerEntry, { pickup: delivery === 'pickup' });
+
     const options = {
-      amount: amount * 100, // amount in paisa
+      amount: toPaise(breakdown.total), // amount in paisa
       currency: 'INR',
       receipt: `auction_${auctionId}_${Date.now()}`,
       payment_capture: 1
@@ -82,7 +171,8 @@ const createOrder = async (req, res) => {
     const payment = await Payment.create({
       user: req.user._id,
       auction: auctionId,
-      amount: amount,
+      amount: breakdown.total,
+      breakdown,
       currency: 'INR',
       status: 'pending',
       paymentMethod: 'razorpay',
@@ -95,7 +185,7 @@ const createOrder = async (req, res) => {
       user: req.user._id,
       action: 'payment_initiated',
       description: `Payment initiated for auction: ${auction.title}`,
-      metadata: { auctionId, amount, orderId: order.id },
+      metadata: { auctionId, amount: breakdown.total, breakdown, orderId: order.id },
       auction: auctionId,
       payment: payment._id
     });
@@ -103,7 +193,8 @@ const createOrder = async (req, res) => {
     res.status(200).json({
       success: true,
       order,
-      paymentId: payment._id
+      paymentId: payment._id,
+      breakdown
     });
   } catch (error) {
     console.error('Razorpay create order error:', error);
@@ -120,7 +211,7 @@ const createOrder = async (req, res) => {
 // @access  Private
 const verifyPayment = async (req, res) => {
   try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, auctionId } = req.body;
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
 
     const body = razorpay_order_id + "|" + razorpay_payment_id;
 
@@ -132,60 +223,81 @@ const verifyPayment = async (req, res) => {
     const isAuthentic = expectedSignature === razorpay_signature;
 
     if (isAuthentic) {
-      // Update payment status
-      const payment = await Payment.findOneAndUpdate(
-        { orderId: razorpay_order_id },
-        {
-          status: 'completed',
-          paymentId: razorpay_payment_id,
-          transactionId: razorpay_payment_id
-        },
-        { new: true }
-      ).populate('auction');
-
-      if (!payment) {
-        return res.status(404).json({
+      const razorpayInstance = getRazorpay();
+      if (!razorpayInstance) {
+        return res.status(500).json({
           success: false,
-          message: 'Payment record not found'
+          message: 'Payment service not configured'
         });
       }
 
-      // Update auction payment status if needed
-      await Auction.findByIdAndUpdate(auctionId, {
-        paymentStatus: 'paid'
-      });
+      // Cross-check what was actually captured, not what the client reports
+      const captured = await razorpayInstance.payments.fetch(razorpay_payment_id);
 
-      // Create notification for seller
-      const auction = payment.auction;
-      await Notification.create({
-        user: auction.seller,
-        type: 'payment_successful',
-        title: 'Payment Received',
-        message: `Payment of ₹${payment.amount} received for auction: ${auction.title}`,
-        auction: auctionId
-      });
+      if (captured.order_id !== razorpay_order_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment does not belong to this order'
+        });
+      }
 
-      // Log activity
-      await ActivityLog.logActivity({
-        user: req.user._id,
-        action: 'payment_completed',
-        description: `Payment completed for auction: ${auction.title}`,
-        metadata: { auctionId, amount: payment.amount, paymentId: razorpay_payment_id },
-        auction: auctionId,
-        payment: payment._id
+      // Authorized payments are completed by the webhook once captured
+      if (captured.status !== 'captured') {
+        return res.status(400).json({
+          success: false,
+          message: `Payment has not been captured (status: ${captured.status})`
+        });
+      }
+
+      // The webhook may already have completed the payment; either way its
+      // side effects (settling the auction, crediting a bid pack) run once
+      const result = await completePayment({
+        orderId: razorpay_order_id,
+        paymentId: razorpay_payment_id,
+        capturedAmount: captured.amount / 100, // amount in paisa
+        currency: captured.currency
       });
 
-      res.status(200).json({
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment record not found'
+        });
+      }
+
+      if (result.flagged) {
+        return res.status(409).json({
+          success: false,
+          message: 'The amount paid does not match the amount due. The payment has been held for review.',
+          payment: result.payment
+        });
+      }
+
+      if (result.alreadyCompleted) {
+        return res.status(200).json({
+          success: true,
+          message: 'Payment already verified',
+          payment: result.payment
+        });
+      }
+
+      const response = {
         success: true,
         message: 'Payment verified successfully',
-        payment
-      });
+        payment: result.payment
+      };
+      if (result.bidCredits !== undefined) {
+        response.bidCredits = result.bidCredits;
+      }
+
+      res.status(200).json(response);
     } else {
       // Update payment status to failed
-      await Payment.findOneAndUpdate(
-        { orderId: razorpay_order_id },
-        { status: 'failed' }
-      );
+      await failPayment({
+        orderId: razorpay_order_id,
+        userId: req.user._id,
+        reason: 'Invalid payment signature'
+      });
 
       res.status(400).json({
         success: false,
@@ -202,6 +314,51 @@ const verifyPayment = async (req, res) => {
   }
 };
 
+// @desc    Receive Razorpay webhook events (payment.captured, payment.failed,
+//          refund.processed)
+// @route   POST /api/payments/webhook
+// @access  Public (signed with the webhook secret)
+const handleWebhook = async (req, res) => {
+  try {
+    if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+      return res.status(500).json({
+        success: false,
+        message: 'Payment webhook not configured'
+      });
+    }
+
+    // The signature covers the exact bytes Razorpay sent, so the route
+    // receives the body unparsed
+    const rawBody = req.body;
+    if (!Buffer.isBuffer(rawBody) || !isValidWebhookSignature(rawBody, req.get('X-Razorpay-Signature'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+
+    // Retries of a delivery carry the same event id
+    const eventId = req.get('X-Razorpay-Event-Id') ||
+      crypto.createHash('sha256').update(rawBody).digest('hex');
+
+    const result = await processWebhookEvent(eventId, event);
+
+    res.status(200).json({
+      success: true,
+      duplicate: result.duplicate
+    });
+  } catch (error) {
+    // A non-2xx answer makes Razorpay deliver the event again
+    console.error('Razorpay webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed'
+    });
+  }
+};
+
 // @desc    Get user's payments
 // @route   GET /api/payments/my-payments
 // @access  Private
@@ -228,5 +385,6 @@ const getMyPayments = async (req, res) => {
 module.exports = {
   createOrder,
   verifyPayment,
+  handleWebhook,
   getMyPayments
 };
\ No newline at end of file
@@ -2,7 +2,7 @@ const mongoose = require('mongoose');
 const Review = require('../models/Review');
 const Auction = require('../models/Auction');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
+const { createNotification } = require('../services/notifications');
 const ActivityLog = require('../models/ActivityLog');
 
 // @desc    Get reviews for a user
@@ -83,8 +83,9 @@ const createReview = async (req, res) => {
             });
         }
 
-        // Check if user won this auction
-        if (auction.winner.toString() !== req.user._id.toString()) {
+        // Check if user won this auction (or some units of a lot)
+        const winnerEntry = auction.isLot ? auction.getWinnerEntry(req.user._id) : null;
+        if (auction.isLot ? !winnerEntry : auction.winner.toString() !== req.user._id.toString()) {
             return res.status(403).json({
                 success: false,
                 message: 'Only auction winners can leave reviews'
@@ -92,7 +93,8 @@ const createReview = async (req, res) => {
         }
 
         // Check if payment was completed
-        if (auction.paymentStatus !== 'paid') {
+        const paymentStatus = winnerEntry ? winnerEntry.paymentStatus : auction.paymentStatus;
+        if (paymentStatus !== 'paid') {
             return res.status(400).json({
                 success: false,
                 message: 'Payment must be completed before leaving a review'
@@ -113,7 +115,7 @@ const createReview = async (req, res) => {
         await review.populate('auction', 'title');
 
         // Create notification for seller
-        await Notification.create({
+        await createNotification({
             user: auction.seller,
             type: 'review_received',
             title: 'New Review Received',
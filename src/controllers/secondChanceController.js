@@ -0,0 +1,139 @@
+const Auction = require('../models/Auction');
+const SecondChanceOffer = require('../models/SecondChanceOffer');
+const {
+  createSecondChanceOffer,
+  acceptSecondChanceOffer,
+  declineSecondChanceOffer
+} = require('../services/secondChance');
+
+// @desc    Offer an overdue auction to the next-highest bidder
+// @route   POST /api/second-chance-offers
+// @access  Private (Seller only)
+const makeSecondChanceOffer = async (req, res) => {
+  try {
+    const auction = await Auction.findById(req.body.auctionId);
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auction not found'
+      });
+    }
+
+    if (auction.seller.toString() !== req.user._id.toString()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to make offers on this auction'
+      });
+    }
+
+    const offer = await createSecondChanceOffer(auction);
+
+    res.status(201).json({
+      success: true,
+      data: offer
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get second-chance offers made to or by the user
+// @route   GET /api/second-chance-offers
+// @access  Private
+const getMySecondChanceOffers = async (req, res) => {
+  try {
+    const query = { $or: [{ bidder: req.user._id }, { seller: req.user._id }] };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const offers = await SecondChanceOffer.find(query)
+      .populate('auction', 'title images status paymentStatus')
+      .populate('bidder', 'name avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: offers.length,
+      data: offers
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Accept a second-chance offer and become the winner
+// @route   PUT /api/second-chance-offers/:id/accept
+// @access  Private (Offered bidder only)
+const acceptOffer = async (req, res) => {
+  try {
+    const { offer, auction } = await acceptSecondChanceOffer(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      data: offer,
+      amountDue: auction.finalPrice,
+      paymentDueAt: auction.paymentDueAt
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Decline a second-chance offer
+// @route   PUT /api/second-chance-offers/:id/decline
+// @access  Private (Offered bidder only)
+const declineOffer = async (req, res) => {
+  try {
+    const offer = await declineSecondChanceOffer(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      data: offer
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  makeSecondChanceOffer,
+  getMySecondChanceOffers,
+  acceptOffer,
+  declineOffer
+};
@@ -5,8 +5,10 @@ const Payment = require('../models/Payment');
 const Wishlist = require('../models/Wishlist');
 const Review = require('../models/Review');
 const Notification = require('../models/Notification');
+const { createNotification } = require('../services/notifications');
 const ActivityLog = require('../models/ActivityLog');
 const { uploadToImageKit } = require('../utils/imagekit');
+const { groupRelistChains } = require('../utils/relistChains');
 
 // @desc    Upload Aadhaar documents
 // @route   POST /api/users/upload-aadhaar
@@ -58,7 +60,7 @@ const uploadAadhaar = async (req, res) => {
         });
 
         // Create notification for user
-        await Notification.create({
+        await createNotification({
             user: user._id,
             type: 'aadhaar_uploaded',
             title: 'Aadhaar Documents Submitted',
@@ -93,16 +95,25 @@ const getDashboard = async (req, res) => {
 
         // Get user's auctions
         const myAuctions = await Auction.find({ seller: userId })
-            .select('title status currentBid endTime winner paymentStatus')
+            .select('title status currentBid endTime winner paymentStatus relistedFrom relistedTo relistCount')
             .sort({ createdAt: -1 })
             .limit(5);
 
+        // Get user's relisted auctions, grouped into chains from the
+        // original listing to the latest relist
+        const relistedAuctions = await Auction.find({
+            seller: userId,
+            $or: [{ relistRoot: { $ne: null } }, { relistedTo: { $ne: null } }]
+        })
+            .select('title status result basePrice minAuctionAmount currentBid startTime endTime relistedFrom relistedTo relistRoot relistCount autoRelist')
+            .sort({ createdAt: -1 });
+
         // Get auctions user has won
         const wonAuctions = await Auction.find({
-            winner: userId,
+            $or: [{ winner: userId }, { 'winners.user': userId }],
             status: 'completed'
         })
-            .select('title currentBid paymentStatus endTime seller')
+            .select('title currentBid paymentStatus endTime seller quantity winners')
             .populate('seller', 'name')
             .sort({ endTime: -1 })
             .limit(5);
@@ -111,7 +122,7 @@ const getDashboard = async (req, res) => {
         const activeBids = await Bid.find({ bidder: userId })
             .populate({
                 path: 'auction',
-                select: 'title currentBid endTime status',
+                select: 'title currentBid minAuctionAmount bidIncrement endTime status',
                 match: { status: 'active' }
             })
             .sort({ createdAt: -1 })
@@ -139,7 +150,10 @@ const getDashboard = async (req, res) => {
             activeAuctions: await Auction.countDocuments({ seller: userId, status: 'active' }),
             completedAuctions: await Auction.countDocuments({ seller: userId, status: 'completed' }),
             totalBids: await Bid.countDocuments({ bidder: userId }),
-            wonAuctions: await Auction.countDocuments({ winner: userId, status: 'completed' }),
+            wonAuctions: await Auction.countDocuments({
+                $or: [{ winner: userId }, { 'winners.user': userId }],
+                status: 'completed'
+            }),
             wishlistItems: wishlistCount
         };
 
@@ -151,6 +165,7 @@ const getDashboard = async (req, res) => {
                 activeBids,
                 pendingPayments,
                 notifications,
+                relistChains: groupRelistChains(relistedAuctions),
                 stats: userStats
             }
         });
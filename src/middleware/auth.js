@@ -1,5 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Auction = require('../models/Auction');
+
+// Verify a JWT and load the user it was issued to, without the password.
+// Throws if the token is invalid; resolves to null if the user is gone.
+const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return User.findById(decoded.id).select('-password');
+};
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -13,11 +21,8 @@ const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from the token
-      req.user = await User.findById(decoded.id).select('-password');
+      // Verify token and get user from it
+      req.user = await getUserFromToken(token);
 
       if (!req.user) {
         return res.status(401).json({
@@ -85,6 +90,37 @@ const authorize = (...requirements) => {
   };
 };
 
+// Grant access by auction type. Reverse auctions are owned by buyers, so
+// creating or managing one needs the bidding permission, and bidding on
+// one needs the auction-creation permission.
+const authorizeForAuctionType = (permission, reversePermission) => {
+  return async (req, res, next) => {
+    try {
+      let auctionType = req.body && req.body.auctionType;
+
+      if (req.params.id) {
+        const auction = await Auction.findById(req.params.id).select('auctionType');
+        if (!auction) {
+          return res.status(404).json({
+            success: false,
+            message: 'Auction not found'
+          });
+        }
+        auctionType = auction.auctionType;
+      }
+
+      const required = auctionType === 'reverse' ? reversePermission : permission;
+      return authorize(required)(req, res, next);
+    } catch (error) {
+      console.error(error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  };
+};
+
 // Check if user owns the resource or is admin
 const ownerOrAdmin = (userField = 'user') => {
   return (req, res, next) => {
@@ -122,7 +158,9 @@ const ownerOrAdmin = (userField = 'user') => {
 };
 
 module.exports = {
+  getUserFromToken,
   protect,
   authorize,
+  authorizeForAuctionType,
   ownerOrAdmin
 };
\ No newline at end of file
@@ -24,9 +24,13 @@ const activityLogSchema = new mongoose.Schema({
             'bid_placed',
             'bid_won',
             'bid_outbid',
+            'bid_retracted',
             'payment_initiated',
             'payment_completed',
             'payment_failed',
+            'payment_refunded',
+            'payment_flagged',
+            'payment_overdue',
             'review_posted',
             'wishlist_added',
             'wishlist_removed',
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { getNextMinimumBid, getNextMaximumBid } = require('../utils/bidIncrement');
+const { isBuyNowAvailable } = require('../utils/buyNow');
+const { AUCTION_TYPES, isSealedAuction, isReverseAuction } = require('../config/auctionTypes');
 
 const auctionSchema = new mongoose.Schema({
   title: {
@@ -26,6 +29,11 @@ const auctionSchema = new mongoose.Schema({
     enum: ['New', 'Like New', 'Good', 'Fair', 'Poor'],
     required: [true, 'Condition is required']
   },
+  auctionType: {
+    type: String,
+    enum: AUCTION_TYPES,
+    default: 'english'
+  },
   images: [{
     type: String,
     required: true
@@ -56,6 +64,82 @@ const auctionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Descending-price settings, required when auctionType is 'dutch'
+  dutch: {
+    startPrice: {
+      type: Number,
+      min: [1, 'Dutch start price must be at least 1']
+    },
+    priceStep: {
+      type: Number,
+      min: [1, 'Dutch price step must be at least 1']
+    },
+    stepIntervalSeconds: {
+      type: Number,
+      min: [1, 'Dutch step interval must be at least 1 second']
+    },
+    floorPrice: {
+      type: Number,
+      min: [1, 'Dutch floor price must be at least 1']
+    }
+  },
+  // Pay-per-bid settings, used when auctionType is 'penny'
+  penny: {
+    priceStep: {
+      type: Number,
+      default: 1,
+      min: [1, 'Penny price step must be at least 1']
+    },
+    countdownSeconds: {
+      type: Number,
+      default: 20,
+      min: [5, 'Penny countdown must be at least 5 seconds']
+    }
+  },
+  // Number of identical units on offer. Lots with more than one unit are
+  // allocated to the best bids at close; see utils/lotAllocation
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1'],
+    validate: {
+      validator: function (value) {
+        return Number.isInteger(value);
+      },
+      message: 'Quantity must be a whole number'
+    }
+  },
+  // How lot winners are charged: every winner pays the lowest winning
+  // unit price ('uniform'), or each pays their own bid ('pay_as_bid')
+  allocationMode: {
+    type: String,
+    enum: ['uniform', 'pay_as_bid'],
+    default: 'pay_as_bid'
+  },
+  // Optional price at which any eligible user can end the auction and buy
+  buyNowPrice: {
+    type: Number,
+    validate: {
+      validator: function (value) {
+        return value === undefined || value === null ||
+          (Number.isInteger(value) && value >= this.minAuctionAmount);
+      },
+      message: 'Buy now price must be a whole number no lower than the minimum auction amount'
+    }
+  },
+  // Flat bid increment for this auction; the platform tier table in
+  // config/bidIncrements applies when unset
+  bidIncrement: {
+    type: Number,
+    min: [1, 'Bid increment must be at least 1'],
+    validate: {
+      validator: function (value) {
+        return value === undefined || value === null || Number.isInteger(value);
+      },
+      message: 'Bid increment must be a whole number'
+    }
+  },
+  // Hidden from public payloads; see toJSON below and toSellerJSON
   reservePrice: {
     type: Number,
     min: [0, 'Reserve price cannot be negative']
@@ -84,16 +168,53 @@ const auctionSchema = new mongoose.Schema({
       message: 'End time must be after start time'
     }
   },
+  // Anti-sniping: a bid placed within windowSeconds of the end pushes
+  // endTime out by extensionSeconds, up to maxExtensionSeconds in total
+  softClose: {
+    windowSeconds: {
+      type: Number,
+      default: 0,
+      min: [0, 'Soft-close window cannot be negative']
+    },
+    extensionSeconds: {
+      type: Number,
+      default: 0,
+      min: [0, 'Soft-close extension cannot be negative']
+    },
+    maxExtensionSeconds: {
+      type: Number,
+      min: [0, 'Maximum extension cannot be negative']
+    }
+  },
+  // End time before any soft-close extensions
+  originalEndTime: Date,
+  endTimeExtensions: [{
+    previousEndTime: Date,
+    newEndTime: Date,
+    bid: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bid'
+    },
+    extendedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Approved auctions wait in `scheduled` until their start time
   status: {
     type: String,
-    enum: ['pending', 'active', 'completed', 'cancelled'],
+    enum: ['pending', 'scheduled', 'active', 'completed', 'cancelled'],
     default: 'pending'
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'overdue'],
+    enum: ['pending', 'paid', 'overdue', 'refunded'],
     default: 'pending'
   },
+  // Deadline for the buyer to pay once the auction is sold
+  paymentDueAt: Date,
+  // On reverse auctions this is the buyer who posted the request, and
+  // bidders are the sellers competing to fill it
   seller: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -103,6 +224,54 @@ const auctionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  winningBid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bid'
+  },
+  // Amount the winner owes; differs from the winning bid in second-price auctions
+  finalPrice: Number,
+  // Units awarded on a multi-quantity lot, best bid first. `winner` and
+  // `winningBid` point at the first entry.
+  winners: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    bid: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bid'
+    },
+    quantity: Number,
+    unitPrice: Number,
+    amount: Number,
+    paymentStatus: {
+      type: String,
+      enum: ['pending', 'paid', 'overdue', 'refunded'],
+      default: 'pending'
+    }
+  }],
+  // Outcome once the auction is completed
+  result: {
+    type: String,
+    enum: ['sold', 'no_bids', 'reserve_not_met', 'bought_now']
+  },
+  settledAt: Date,
+  // Set while a server process is settling the auction (see auctionLifecycle)
+  settlementLockedUntil: Date,
+  // Ending-soon thresholds (seconds before endTime) already announced
+  endingSoonNotified: [Number],
+  // Sequence number of the latest event broadcast to the auction room
+  eventSeq: {
+    type: Number,
+    default: 0
+  },
+  // Most distinct users watching the auction room at once, and when that
+  // was reached; shown to the seller only
+  peakWatchers: {
+    type: Number,
+    default: 0
+  },
+  peakWatchersAt: Date,
   bids: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Bid'
@@ -115,6 +284,12 @@ const auctionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Charged to the buyer when the item is shipped (once per buyer on lots)
+  shippingCost: {
+    type: Number,
+    default: 0,
+    min: [0, 'Shipping cost cannot be negative']
+  },
   isApproved: {
     type: Boolean,
     default: false
@@ -124,6 +299,53 @@ const auctionSchema = new mongoose.Schema({
     ref: 'User'
   },
   approvedAt: Date,
+  // Users who asked to be notified when the auction starts
+  startSubscribers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // Relisting chain
+  relistedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auction'
+  },
+  relistedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auction'
+  },
+  // First auction in the chain, and how many relists separate this one from it
+  relistRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auction'
+  },
+  relistCount: {
+    type: Number,
+    default: 0
+  },
+  // Seller's rules for relisting an unsold auction automatically: up to
+  // maxRelists times in total, lowering basePrice and minAuctionAmount by
+  // priceDropPercent each round
+  autoRelist: {
+    maxRelists: {
+      type: Number,
+      default: 0,
+      min: [0, 'Maximum relists cannot be negative'],
+      max: [10, 'Auctions can be relisted at most 10 times'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Maximum relists must be a whole number'
+      }
+    },
+    priceDropPercent: {
+      type: Number,
+      default: 0,
+      min: [0, 'Relist price drop cannot be negative'],
+      max: [90, 'Relist price drop cannot exceed 90 percent']
+    }
+  },
   views: {
     type: Number,
     default: 0
@@ -140,6 +362,76 @@ const auctionSchema = new mongoose.Schema({
 auctionSchema.index({ title: 'text', description: 'text', tags: 'text' });
 auctionSchema.index({ category: 1, status: 1, endTime: 1 });
 auctionSchema.index({ seller: 1 });
+auctionSchema.index({ status: 1, endTime: 1 });
+auctionSchema.index({ status: 1, startTime: 1 });
+auctionSchema.index({ relistRoot: 1, relistCount: 1 });
+auctionSchema.index({ paymentStatus: 1, paymentDueAt: 1 });
+auctionSchema.index({ 'winners.user': 1 });
+
+// Dutch auctions need a complete price schedule
+auctionSchema.pre('validate', function (next) {
+  if (this.auctionType !== 'dutch') return next();
+
+  const { startPrice, priceStep, stepIntervalSeconds, floorPrice } = this.dutch || {};
+  if (!startPrice || !priceStep || !stepIntervalSeconds || !floorPrice) {
+    this.invalidate('dutch', 'Dutch auctions require a start price, price step, step interval and floor price');
+  } else if (floorPrice >= startPrice) {
+    this.invalidate('dutch.floorPrice', 'Dutch floor price must be below the start price');
+  }
+
+  next();
+});
+
+// Reverse auctions open at basePrice, the buyer's budget, and are bid
+// down, so reserve and buy-now prices and relist price drops do not apply
+auctionSchema.pre('validate', function (next) {
+  if (this.auctionType !== 'reverse') return next();
+
+  if (this.reservePrice) {
+    this.invalidate('reservePrice', 'Reverse auctions cannot have a reserve price');
+  }
+  if (this.buyNowPrice) {
+    this.invalidate('buyNowPrice', 'Reverse auctions cannot have a buy-now price');
+  }
+  if (this.autoRelist && this.autoRelist.priceDropPercent) {
+    this.invalidate('autoRelist.priceDropPercent', 'Reverse auctions cannot drop their price when relisted');
+  }
+
+  next();
+});
+
+// Multi-quantity lots are open ascending auctions without reserve or
+// buy-now prices
+auctionSchema.pre('validate', function (next) {
+  if (!(this.quantity > 1)) return next();
+
+  if (this.auctionType !== 'english') {
+    this.invalidate('quantity', 'Only english auctions can offer more than one unit');
+  }
+  if (this.reservePrice) {
+    this.invalidate('reservePrice', 'Multi-quantity lots cannot have a reserve price');
+  }
+  if (this.buyNowPrice) {
+    this.invalidate('buyNowPrice', 'Multi-quantity lots cannot have a buy-now price');
+  }
+
+  next();
+});
+
+// Penny auctions are priced by their fixed step, so reserve and buy-now
+// prices do not apply
+auctionSchema.pre('validate', function (next) {
+  if (this.auctionType !== 'penny') return next();
+
+  if (this.reservePrice) {
+    this.invalidate('reservePrice', 'Penny auctions cannot have a reserve price');
+  }
+  if (this.buyNowPrice) {
+    this.invalidate('buyNowPrice', 'Penny auctions cannot have a buy-now price');
+  }
+
+  next();
+});
 
 // Virtual for time remaining
 auctionSchema.virtual('timeRemaining').get(function () {
@@ -154,8 +446,82 @@ auctionSchema.virtual('isActive').get(function () {
   return this.status === 'active' && now >= this.startTime && now <= this.endTime;
 });
 
-// Ensure virtual fields are serialized
-auctionSchema.set('toJSON', { virtuals: true });
+// Virtual for whether the auction has a reserve price, without revealing it
+auctionSchema.virtual('hasReserve').get(function () {
+  return !!this.reservePrice;
+});
+
+// Virtual for whether the current bid meets the reserve price
+auctionSchema.virtual('reserveMet').get(function () {
+  return !this.reservePrice || this.currentBid >= this.reservePrice;
+});
+
+// Virtual for the lowest bid currently accepted
+auctionSchema.virtual('nextMinimumBid').get(function () {
+  return getNextMinimumBid(this);
+});
+
+// Virtual for the highest bid currently accepted on a reverse auction
+auctionSchema.virtual('nextMaximumBid').get(function () {
+  return getNextMaximumBid(this);
+});
+
+// Virtual for whether the lowest bid wins
+auctionSchema.virtual('isReverse').get(function () {
+  return isReverseAuction(this);
+});
+
+// Virtual for whether several units are allocated to several winners
+auctionSchema.virtual('isLot').get(function () {
+  return this.quantity > 1;
+});
+
+// Virtual for whether bids are hidden until the auction closes
+auctionSchema.virtual('isSealed').get(function () {
+  return isSealedAuction(this);
+});
+
+// Virtual for whether the buy-now option is still on offer
+auctionSchema.virtual('buyNowAvailable').get(function () {
+  return isBuyNowAvailable(this);
+});
+
+// Ensure virtual fields are serialized, and keep the reserve price and
+// watcher statistics out of public payloads
+auctionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    delete ret.reservePrice;
+    delete ret.peakWatchers;
+    delete ret.peakWatchersAt;
+    return ret;
+  }
+});
 auctionSchema.set('toObject', { virtuals: true });
 
+// Get who pays for the auction and who receives the money. On reverse
+// auctions the owner is buying from the winning bidder.
+auctionSchema.methods.getBuyerId = function () {
+  return isReverseAuction(this) ? this.seller : this.winner;
+};
+
+auctionSchema.methods.getSellerId = function () {
+  return isReverseAuction(this) ? this.winner : this.seller;
+};
+
+// Get a user's allocation on a completed lot, if they won any units
+auctionSchema.methods.getWinnerEntry = function (userId) {
+  return (this.winners || []).find(entry => entry.user.toString() === userId.toString()) || null;
+};
+
+// Serialize for the seller or an admin, including the reserve price and
+// watcher statistics
+auctionSchema.methods.toSellerJSON = function () {
+  const auctionObject = this.toJSON();
+  auctionObject.reservePrice = this.reservePrice;
+  auctionObject.peakWatchers = this.peakWatchers;
+  auctionObject.peakWatchersAt = this.peakWatchersAt;
+  return auctionObject;
+};
+
 module.exports = mongoose.model('Auction', auctionSchema);
\ No newline at end of file
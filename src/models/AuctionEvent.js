@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// How long broadcast events are kept for reconnecting clients to replay
+const EVENT_RETENTION_SECONDS = 60 * 60;
+
+// One event broadcast to an auction room, numbered by the auction's
+// eventSeq so clients can tell what they missed
+const auctionEventSchema = new mongoose.Schema({
+  auction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auction',
+    required: true
+  },
+  seq: {
+    type: Number,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: EVENT_RETENTION_SECONDS
+  }
+});
+
+auctionEventSchema.index({ auction: 1, seq: 1 }, { unique: true });
+
+module.exports = mongoose.model('AuctionEvent', auctionEventSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { RETRACTION_REASONS } = require('../config/bidRetraction');
 
 const bidSchema = new mongoose.Schema({
   auction: {
@@ -22,6 +23,18 @@ const bidSchema = new mongoose.Schema({
       message: 'Bid amount must be a whole number'
     }
   },
+  // Units wanted at `amount` each; only meaningful on multi-quantity lots
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Bid quantity must be at least 1'],
+    validate: {
+      validator: function (value) {
+        return Number.isInteger(value);
+      },
+      message: 'Bid quantity must be a whole number'
+    }
+  },
   timestamp: {
     type: Date,
     default: Date.now
@@ -33,6 +46,66 @@ const bidSchema = new mongoose.Schema({
   isOutbid: {
     type: Boolean,
     default: false
+  },
+  // Placed by proxy bidding on the bidder's behalf
+  isAutomatic: {
+    type: Boolean,
+    default: false
+  },
+  // Records a buy-now purchase at the auction's buy-now price
+  isBuyNow: {
+    type: Boolean,
+    default: false
+  },
+  // Placed on a sealed-bid auction; hidden from others until close
+  isSealed: {
+    type: Boolean,
+    default: false
+  },
+  // Bids are never edited. Raising a bid places a new one that supersedes
+  // it; the superseded bid stays in the history but no longer counts.
+  isSuperseded: {
+    type: Boolean,
+    default: false
+  },
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bid'
+  },
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bid'
+  },
+  // Withdrawn by the bidder; retracted bids no longer count (see
+  // services/bidRetraction) and every retraction is reviewed by an admin
+  isRetracted: {
+    type: Boolean,
+    default: false
+  },
+  retraction: {
+    reason: {
+      type: String,
+      enum: RETRACTION_REASONS
+    },
+    explanation: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Explanation cannot be more than 500 characters']
+    },
+    retractedAt: Date,
+    reviewStatus: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: {
+      type: String,
+      trim: true
+    }
   }
 }, {
   timestamps: true
@@ -41,42 +114,25 @@ const bidSchema = new mongoose.Schema({
 // Index for performance
 bidSchema.index({ auction: 1, amount: -1 });
 bidSchema.index({ bidder: 1 });
+// One standing sealed bid per bidder per auction
+bidSchema.index(
+  { auction: 1, bidder: 1 },
+  { unique: true, partialFilterExpression: { isSealed: true, isRetracted: false, isSuperseded: false } }
+);
+bidSchema.index({ 'retraction.reviewStatus': 1, 'retraction.retractedAt': -1 });
 
-// Validate bid amount is higher than current highest bid
-bidSchema.pre('save', async function (next) {
-  if (this.isNew) {
-    const Auction = mongoose.model('Auction');
-    const auction = await Auction.findById(this.auction);
-
-    if (!auction) {
-      return next(new Error('Auction not found'));
-    }
-
-    if (auction.status !== 'active') {
-      return next(new Error('Auction is not active'));
-    }
-
-    if (auction.seller.toString() === this.bidder.toString()) {
-      return next(new Error('Sellers cannot bid on their own auctions'));
-    }
-
-    // Check if bid meets minimum auction amount requirement
-    if (this.amount < auction.minAuctionAmount) {
-      return next(new Error(`Bid must be at least the minimum auction amount of $${auction.minAuctionAmount}`));
-    }
+// Virtual for whether the bid still counts: not retracted or superseded
+bidSchema.virtual('isStanding').get(function () {
+  return !this.isRetracted && !this.isSuperseded;
+});
 
-    // Update auction's currentBid to the highest bid
-    const highestBid = await this.constructor.findOne({ auction: this.auction })
-      .sort({ amount: -1 })
-      .limit(1);
+// Limit a query to bids that still count
+bidSchema.query.standing = function () {
+  return this.where({ isRetracted: { $ne: true }, isSuperseded: { $ne: true } });
+};
 
-    if (highestBid) {
-      auction.currentBid = highestBid.amount;
-      await auction.save();
-    }
-  }
-
-  next();
-});
+// New bids are accepted by an atomic auction update first and only then
+// saved, always through saveAcceptedBid in services/bidding rather than
+// Bid.create
 
 module.exports = mongoose.model('Bid', bidSchema);
\ No newline at end of file
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Ledger of bid credit changes. Every purchase and accepted bid adds an
+// entry, so a user's history always explains their bidCredits balance.
+const creditTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['purchase', 'bid'],
+    required: true
+  },
+  // Credits added (positive) or spent (negative)
+  credits: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  bidPackId: String,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  auction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auction'
+  },
+  bid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bid'
+  }
+}, {
+  timestamps: true
+});
+
+creditTransactionSchema.index({ user: 1, createdAt: -1 });
+// One entry per bid pack payment and per penny bid, however many times
+// either is settled
+creditTransactionSchema.index(
+  { payment: 1, type: 1 },
+  { unique: true, partialFilterExpression: { payment: { $exists: true } } }
+);
+creditTransactionSchema.index(
+  { bid: 1, type: 1 },
+  { unique: true, partialFilterExpression: { bid: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CreditTransaction', creditTransactionSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A bidder's secret ceiling for proxy bidding. The system bids on the
+// bidder's behalf up to maxAmount; it is never exposed to other users.
+const maxBidSchema = new mongoose.Schema({
+  auction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auction',
+    required: true
+  },
+  bidder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  maxAmount: {
+    type: Number,
+    required: [true, 'Maximum bid amount is required'],
+    min: [1, 'Maximum bid amount must be at least 1'],
+    validate: {
+      validator: function (value) {
+        return Number.isInteger(value);
+      },
+      message: 'Maximum bid amount must be a whole number'
+    }
+  },
+  // When the bidder first set a ceiling; raising it keeps this, and
+  // earlier ceilings win ties
+  placedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One ceiling per bidder per auction
+maxBidSchema.index({ auction: 1, bidder: 1 }, { unique: true });
+maxBidSchema.index({ auction: 1, maxAmount: -1, placedAt: 1 });
+
+module.exports = mongoose.model('MaxBid', maxBidSchema);
@@ -8,7 +8,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['bid_received', 'bid_updated', 'outbid', 'auction_won', 'auction_lost', 'auction_ending_soon', 'auction_approved', 'auction_rejected', 'payment_required', 'aadhaar_uploaded', 'aadhaar_verified', 'aadhaar_rejected'],
+    enum: ['bid_received', 'bid_updated', 'bid_retracted', 'outbid', 'auction_won', 'auction_lost', 'auction_started', 'auction_ending_soon', 'reserve_not_met', 'auction_relisted', 'auction_approved', 'auction_rejected', 'payment_required', 'payment_successful', 'payment_failed', 'payment_refunded', 'payment_overdue', 'second_chance_offer', 'second_chance_accepted', 'second_chance_declined', 'second_chance_expired', 'aadhaar_uploaded', 'aadhaar_verified', 'aadhaar_rejected'],
     required: true
   },
   title: {
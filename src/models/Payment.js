@@ -6,23 +6,48 @@ const paymentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set for auction payments; bid pack purchases have bidPackId instead
   auction: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Auction',
-    required: true
+    required: function () {
+      return !this.bidPackId;
+    }
   },
+  bidPackId: String,
+  // Credits granted once a bid pack payment is verified
+  bidCredits: Number,
+  // Amount due, computed by the server; for auctions it is breakdown.total
   amount: {
     type: Number,
     required: true,
     min: [0.01, 'Payment amount must be greater than 0']
   },
+  // Itemized amount due for an auction, frozen when the order is created
+  breakdown: {
+    itemAmount: Number,
+    buyerPremiumPercent: Number,
+    buyerPremium: Number,
+    shipping: Number,
+    taxPercent: Number,
+    tax: Number,
+    total: Number
+  },
+  // Amount the gateway reports as captured. A payment whose captured amount
+  // differs from `amount` is flagged for review instead of completed.
+  capturedAmount: Number,
+  // Set once a completed payment's effects (marking the auction paid or
+  // crediting the bid pack) have all been applied; a process applying them
+  // holds settlementLockedUntil meanwhile
+  settledAt: Date,
+  settlementLockedUntil: Date,
   currency: {
     type: String,
     default: 'INR'
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'refunded', 'flagged'],
     default: 'pending'
   },
   paymentMethod: {
@@ -42,6 +67,19 @@ const paymentSchema = new mongoose.Schema({
   paymentId: {
     type: String
   },
+  // Gateway's reason for the latest failed attempt
+  failureReason: String,
+  // Refunds processed so far; the payment is refunded once they cover
+  // the full amount
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    refundId: String,
+    amount: Number,
+    processedAt: Date
+  }],
   description: {
     type: String,
     default: 'Auction payment'
@@ -56,6 +94,8 @@ const paymentSchema = new mongoose.Schema({
 // Index for performance
 paymentSchema.index({ user: 1, status: 1 });
 paymentSchema.index({ auction: 1 });
+paymentSchema.index({ orderId: 1 });
+paymentSchema.index({ paymentId: 1 });
 
 
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
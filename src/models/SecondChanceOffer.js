@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// An offer to sell an auction to a runner-up bidder at their own bid after
+// the winner failed to pay by the deadline
+const secondChanceOfferSchema = new mongoose.Schema({
+  auction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Auction',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bidder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The runner-up's best bid; the offer is made at its amount
+  bid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bid',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Winner who failed to pay before this offer was made
+  previousWinner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'expired', 'withdrawn'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+// Each bidder is offered an auction at most once, and an auction has at
+// most one open offer at a time
+secondChanceOfferSchema.index({ auction: 1, bidder: 1 }, { unique: true });
+secondChanceOfferSchema.index(
+  { auction: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+secondChanceOfferSchema.index({ bidder: 1, status: 1, createdAt: -1 });
+secondChanceOfferSchema.index({ seller: 1, status: 1, createdAt: -1 });
+secondChanceOfferSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('SecondChanceOffer', secondChanceOfferSchema);
@@ -45,6 +45,50 @@ const userSchema = new mongoose.Schema({
       default: true // Temporarily allow all users to create auctions for testing
     }
   },
+  // Number of bids retracted; only shown to admins
+  bidRetractionCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Number of won auctions not paid for by the deadline; only shown to admins
+  nonPaymentCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Prepaid credits spent on penny auction bids; every change is recorded
+  // in CreditTransaction
+  bidCredits: {
+    type: Number,
+    default: 0,
+    min: [0, 'Bid credits cannot be negative']
+  },
+  // Bid pack payments already added to bidCredits
+  creditedPayments: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }],
+    select: false
+  },
+  // Credits taken for penny auction bids still being placed, held until
+  // each bid is accepted or not (see services/bidCredits)
+  pendingBidCredits: {
+    type: [{
+      _id: false,
+      bid: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bid'
+      },
+      auction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction'
+      },
+      heldAt: Date
+    }],
+    select: false
+  },
   phone: {
     type: String,
     trim: true
@@ -117,6 +161,9 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Finds credits left held by unfinished penny bids
+userSchema.index({ 'pendingBidCredits.heldAt': 1 }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
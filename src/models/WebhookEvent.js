@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A payment gateway webhook delivery, keyed by the gateway's event id so a
+// replayed or retried delivery is only applied once
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // processing: being applied; processed: applied; ignored: nothing to do
+  // (unhandled event or unknown payment); failed: will be retried on the
+  // next delivery
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -5,11 +5,14 @@ const {
   updateUser,
   deleteUser,
   getAuctions,
+  getRelistChain,
   getStats,
   getPendingAuctions,
   getPendingVerifications,
   verifyAadhaar,
-  handleDispute
+  handleDispute,
+  getBidRetractions,
+  reviewBidRetraction
 } = require('../controllers/adminController');
 
 const { getAuctionCreationAnalytics } = require('../controllers/userController');
@@ -32,9 +35,14 @@ router.get('/pending-verifications', getPendingVerifications);
 
 // Auction management
 router.get('/auctions', getAuctions);
+router.get('/auctions/:id/relist-chain', getRelistChain);
 router.get('/pending-auctions', getPendingAuctions);
 router.put('/auctions/:id/dispute', handleDispute);
 
+// Bid retraction review
+router.get('/bid-retractions', getBidRetractions);
+router.put('/bid-retractions/:id', reviewBidRetraction);
+
 // Analytics
 router.get('/stats', getStats);
 router.get('/auction-creation-analytics', getAuctionCreationAnalytics);
@@ -1,24 +1,33 @@
 const express = require('express');
 const {
   getAuctions,
+  getUpcomingAuctions,
   getAuction,
   createAuction,
   updateAuction,
   deleteAuction,
   approveAuction,
+  acceptHighestBidOnAuction,
+  relistUnsoldAuction,
+  buyAuctionNow,
+  acceptDutchAuctionPrice,
+  subscribeToAuctionStart,
+  unsubscribeFromAuctionStart,
+  getAuctionWatcherList,
   getAuctionsBySeller,
   getMyAuctions,
   getWonAuctions,
   getActiveUsers
 } = require('../controllers/auctionController');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, authorizeForAuctionType } = require('../middleware/auth');
 const { upload } = require('../middleware/upload');
 
 const router = express.Router();
 
 // Public routes (non-parameterized first)
 router.get('/', getAuctions);
+router.get('/upcoming', getUpcomingAuctions);
 router.get('/active-users', getActiveUsers);
 router.get('/seller/:sellerId', getAuctionsBySeller);
 
@@ -30,9 +39,18 @@ router.get('/myauctions', protect, getMyAuctions);
 router.get('/:id', getAuction);
 
 // Other protected routes
-router.post('/', protect, authorize('canCreateAuction'), upload.array('images', 5), createAuction);
-router.put('/:id', protect, authorize('canCreateAuction'), updateAuction);
-router.delete('/:id', protect, authorize('canCreateAuction'), deleteAuction);
+// Owners of reverse auctions are buyers, so these check canBid for them;
+// multipart bodies must be parsed before the auction type can be read
+router.post('/', protect, upload.array('images', 5), authorizeForAuctionType('canCreateAuction', 'canBid'), createAuction);
+router.put('/:id', protect, authorizeForAuctionType('canCreateAuction', 'canBid'), updateAuction);
+router.delete('/:id', protect, authorizeForAuctionType('canCreateAuction', 'canBid'), deleteAuction);
+router.put('/:id/accept-highest-bid', protect, authorizeForAuctionType('canCreateAuction', 'canBid'), acceptHighestBidOnAuction);
+router.post('/:id/relist', protect, authorizeForAuctionType('canCreateAuction', 'canBid'), relistUnsoldAuction);
+router.post('/:id/buy-now', protect, authorize('canBid'), buyAuctionNow);
+router.post('/:id/accept-price', protect, authorize('canBid'), acceptDutchAuctionPrice);
+router.post('/:id/notify-start', protect, subscribeToAuctionStart);
+router.delete('/:id/notify-start', protect, unsubscribeFromAuctionStart);
+router.get('/:id/watchers', protect, getAuctionWatcherList);
 
 // Admin routes
 router.put('/:id/approve', protect, authorize('admin'), approveAuction);
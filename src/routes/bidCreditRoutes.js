@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+  getBidPacks,
+  getMyBidCredits
+} = require('../controllers/bidCreditController');
+
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public routes
+router.get('/packs', getBidPacks);
+
+// Protected routes
+router.get('/', protect, getMyBidCredits);
+
+module.exports = router;
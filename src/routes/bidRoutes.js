@@ -3,6 +3,7 @@ const {
   getBidsForAuction,
   placeBid,
   updateBid,
+  retractBid,
   getMyBids,
   getBid
 } = require('../controllers/bidController');
@@ -19,6 +20,7 @@ router.get('/auction/:auctionId', getBidsForAuction);
 router.use(protect);
 router.post('/', bidLimiter, placeBid);
 router.put('/:id', bidLimiter, updateBid);
+router.post('/:id/retract', bidLimiter, retractBid);
 router.get('/my-bids', getMyBids);
 router.get('/:id', getBid);
 
@@ -2,6 +2,7 @@ const express = require('express');
 const {
   createOrder,
   verifyPayment,
+  handleWebhook,
   getMyPayments
 } = require('../controllers/paymentController');
 
@@ -9,7 +10,10 @@ const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
-// All routes require authentication
+// Called by Razorpay, which signs the raw body (see server.js)
+router.post('/webhook', handleWebhook);
+
+// All other routes require authentication
 router.use(protect);
 
 router.post('/create-order', createOrder);
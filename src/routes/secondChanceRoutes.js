@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  makeSecondChanceOffer,
+  getMySecondChanceOffers,
+  acceptOffer,
+  declineOffer
+} = require('../controllers/secondChanceController');
+
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getMySecondChanceOffers);
+router.post('/', makeSecondChanceOffer);
+router.put('/:id/accept', acceptOffer);
+router.put('/:id/decline', declineOffer);
+
+module.exports = router;
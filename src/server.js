@@ -6,6 +6,9 @@ const helmet = require('helmet');
 const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
 const connectDB = require('./config/database');
+const { startAuctionScheduler } = require('./services/auctionScheduler');
+const { initSocket } = require('./socket');
+const { configureSocketAdapter } = require('./socket/adapter');
 const { apiLimiter } = require('./middleware/rateLimiter');
 const userRoutes = require('./routes/userRoutes');
 const auctionRoutes = require('./routes/auctionRoutes');
@@ -16,6 +19,8 @@ const notificationRoutes = require('./routes/notificationRoutes');
 const categoryRoutes = require('./routes/categoryRoutes');
 const reviewRoutes = require('./routes/reviewRoutes');
 const wishlistRoutes = require('./routes/wishlistRoutes');
+const bidCreditRoutes = require('./routes/bidCreditRoutes');
+const secondChanceRoutes = require('./routes/secondChanceRoutes');
 
 dotenv.config();
 
@@ -39,6 +44,9 @@ app.use(cookieParser());
 
 // app.use(apiLimiter);
 
+// The Razorpay webhook signature is computed over the raw body, so keep it
+// unparsed; express.json skips bodies that were already read
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -52,67 +60,30 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/bid-credits', bidCreditRoutes);
+app.use('/api/second-chance-offers', secondChanceRoutes);
 
-// Socket.io for real-time bidding
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+// Make io accessible in routes
+app.set('io', io);
 
-  socket.on('joinAuction', (auctionId) => {
-    socket.join(auctionId);
-    console.log(`User ${socket.id} joined auction ${auctionId}`);
+const PORT = process.env.PORT || 5000;
 
-    // Send current auction state to the user
-    const roomSize = io.sockets.adapter.rooms.get(auctionId)?.size || 0;
-    socket.emit('auctionJoined', {
-      auctionId,
-      activeUsers: roomSize
-    });
+// Socket.io for real-time bidding. The adapter (in-memory or Redis) must be
+// in place before the server accepts connections.
+configureSocketAdapter(io)
+  .then((presence) => {
+    initSocket(io, presence);
 
-    // Notify others in the room
-    socket.to(auctionId).emit('userJoined', {
-      userId: socket.id,
-      activeUsers: roomSize
-    });
-  });
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
 
-  socket.on('leaveAuction', (auctionId) => {
-    socket.leave(auctionId);
-    console.log(`User ${socket.id} left auction ${auctionId}`);
-
-    const roomSize = io.sockets.adapter.rooms.get(auctionId)?.size || 0;
-    socket.to(auctionId).emit('userLeft', {
-      userId: socket.id,
-      activeUsers: roomSize
+      // Activate, close and settle auctions on schedule
+      startAuctionScheduler(io);
     });
+  })
+  .catch((error) => {
+    console.error('Socket.io adapter error:', error.message);
+    process.exit(1);
   });
 
-  socket.on('bidPlaced', (data) => {
-    const { auctionId, bidData } = data;
-    // Broadcast to all users in the auction room except sender
-    socket.to(auctionId).emit('newBid', bidData);
-  });
-
-  socket.on('auctionEnding', (data) => {
-    const { auctionId, timeLeft } = data;
-    socket.to(auctionId).emit('auctionEnding', { timeLeft });
-  });
-
-  socket.on('auctionEnded', (data) => {
-    const { auctionId, winner } = data;
-    io.to(auctionId).emit('auctionEnded', { winner });
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
-
-// Make io accessible in routes
-app.set('io', io);
-
-const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
-
 module.exports = { app, server, io };
\ No newline at end of file
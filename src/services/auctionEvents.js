@@ -0,0 +1,112 @@
+const Auction = require('../models/Auction');
+const AuctionEvent = require('../models/AuctionEvent');
+const Bid = require('../models/Bid');
+
+// Clients further behind than this get a snapshot instead of a replay
+const MAX_REPLAY_EVENTS = 100;
+
+// Number of recent bids included in a snapshot
+const SNAPSHOT_BID_COUNT = 10;
+
+// Give an auction room event the next sequence number and store it for
+// replay. Returns the sequence number.
+const recordAuctionEvent = async (auctionId, event, payload) => {
+  const auction = await Auction.findByIdAndUpdate(
+    auctionId,
+    { $inc: { eventSeq: 1 } },
+    { new: true }
+  ).select('eventSeq');
+
+  if (!auction) {
+    return null;
+  }
+
+  await AuctionEvent.create({
+    auction: auctionId,
+    seq: auction.eventSeq,
+    event,
+    payload
+  });
+
+  return auction.eventSeq;
+};
+
+// Get the events a client missed since lastSeq, oldest first. Returns null
+// if they can no longer all be replayed and the client needs a snapshot.
+const getMissedEvents = async (auctionId, lastSeq, currentSeq) => {
+  if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > currentSeq) {
+    return null;
+  }
+
+  if (currentSeq - lastSeq > MAX_REPLAY_EVENTS) {
+    return null;
+  }
+
+  const events = await AuctionEvent.find({ auction: auctionId, seq: { $gt: lastSeq } })
+    .sort({ seq: 1 })
+    .select('seq event payload');
+
+  // Expired or unrecorded events leave gaps that cannot be replayed
+  const complete = events.every((entry, index) => entry.seq === lastSeq + index + 1);
+  if (!complete) {
+    return null;
+  }
+
+  return events.map(({ seq, event, payload }) => ({ seq, event, payload }));
+};
+
+// Get the state a client needs to render an auction room, stamped with the
+// sequence number of the latest event it reflects
+const getAuctionSnapshot = async (auction) => {
+  const hideBids = auction.isSealed && auction.status !== 'completed';
+
+  const recentBids = hideBids ? [] : await Bid.find({ auction: auction._id })
+    .standing()
+    .populate('bidder', 'name avatar')
+    .sort({ amount: auction.isReverse ? 1 : -1, createdAt: 1 })
+    .limit(SNAPSHOT_BID_COUNT)
+    .select('amount bidder quantity isAutomatic timestamp');
+
+  return {
+    auctionId: auction._id,
+    seq: auction.eventSeq || 0,
+    status: auction.status,
+    result: auction.result,
+    startTime: auction.startTime,
+    endTime: auction.endTime,
+    currentBid: auction.currentBid,
+    nextMinimumBid: auction.nextMinimumBid,
+    nextMaximumBid: auction.nextMaximumBid,
+    buyNowAvailable: auction.buyNowAvailable,
+    bidCount: auction.bids.length,
+    recentBids,
+    winner: auction.winner,
+    winners: auction.isLot ? auction.winners : undefined,
+    serverTime: new Date()
+  };
+};
+
+// Work out what a client joining an auction room needs: the events it
+// missed since lastSeq if they can be replayed, otherwise a full snapshot.
+// Returns null if the auction does not exist.
+const getRoomCatchUp = async (auctionId, lastSeq) => {
+  const auction = await Auction.findById(auctionId);
+  if (!auction) {
+    return null;
+  }
+
+  const seq = auction.eventSeq || 0;
+  if (lastSeq !== undefined && lastSeq !== null) {
+    const events = await getMissedEvents(auction._id, lastSeq, seq);
+    if (events) {
+      return { seq, events };
+    }
+  }
+
+  return { seq, snapshot: await getAuctionSnapshot(auction) };
+};
+
+module.exports = {
+  recordAuctionEvent,
+  getRoomCatchUp
+};
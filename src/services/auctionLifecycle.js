@@ -0,0 +1,767 @@
+const mongoose = require('mongoose');
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const { createNotification } = require('./notifications');
+const ActivityLog = require('../models/ActivityLog');
+const Wishlist = require('../models/Wishlist');
+const { getBuyNowCutoff } = require('../utils/buyNow');
+const { getBidIncrement } = require('../utils/bidIncrement');
+const { getDutchPrice } = require('../utils/dutchPrice');
+const { isReverseAuction } = require('../config/auctionTypes');
+const { allocateLot } = require('../utils/lotAllocation');
+const { getPaymentDueAt } = require('../config/paymentDeadlines');
+const { emitToAuction } = require('../socket');
+const { saveAcceptedBid } = require('./bidding');
+
+// How long a process may hold the settlement claim on an auction. If the
+// process dies mid-settlement the claim expires and another one retries.
+const SETTLEMENT_LEASE_MS = 60 * 1000;
+
+// Bids are saved just after the auction accepts them. For this long after
+// an auction ends, settlement waits for any that are still being written,
+// checking again after UNSAVED_BID_RETRY_MS.
+const UNSAVED_BID_GRACE_MS = 10 * 1000;
+const UNSAVED_BID_RETRY_MS = 1000;
+
+// Maximum number of auctions settled in a single scheduler pass
+const SETTLEMENT_BATCH_SIZE = 50;
+
+// Maximum number of auctions started in a single scheduler pass
+const ACTIVATION_BATCH_SIZE = 50;
+
+// Listing fields copied onto a relisted auction
+const RELIST_FIELDS = [
+  'title', 'description', 'category', 'subcategory', 'condition', 'images',
+  'basePrice', 'minAuctionAmount', 'reservePrice', 'buyNowPrice', 'bidIncrement',
+  'softClose', 'auctionType', 'dutch', 'penny', 'quantity', 'allocationMode', 'autoRelist', 'deliveryOptions',
+  'termsAndConditions', 'location', 'shippingInfo', 'shippingCost', 'tags'
+];
+
+// Tell the auction room and everyone waiting for it that an auction has
+// started: users who asked to be notified and users who wishlisted it
+const announceAuctionStart = async (auction, io) => {
+  const wishlisters = await Wishlist.distinct('user', {
+    auction: auction._id,
+    notificationEnabled: true
+  });
+
+  const recipients = new Map();
+  [...(auction.startSubscribers || []), ...wishlisters].forEach(userId => {
+    recipients.set(userId.toString(), userId);
+  });
+
+  for (const userId of recipients.values()) {
+    await createNotification({
+      user: userId,
+      type: 'auction_started',
+      title: 'Auction started',
+      message: `"${auction.title}" is now open for bidding`,
+      auction: auction._id
+    });
+  }
+
+  await emitToAuction(io, auction._id, 'auctionStarted', {
+    auctionId: auction._id,
+    status: auction.status,
+    startTime: auction.startTime,
+    endTime: auction.endTime,
+    currentBid: auction.currentBid,
+    nextMinimumBid: auction.nextMinimumBid
+  });
+};
+
+// Promote approved auctions whose start time has arrived. Each auction is
+// moved to `active` with its own atomic update, so only one process
+// announces the start.
+const activateDueAuctions = async (io) => {
+  let activated = 0;
+
+  for (let i = 0; i < ACTIVATION_BATCH_SIZE; i++) {
+    const now = new Date();
+    const auction = await Auction.findOneAndUpdate(
+      {
+        status: { $in: ['pending', 'scheduled'] },
+        isApproved: true,
+        startTime: { $lte: now },
+        endTime: { $gt: now }
+      },
+      { status: 'active' },
+      { new: true, sort: { startTime: 1 } }
+    ).select('+startSubscribers');
+    if (!auction) break;
+
+    activated += 1;
+    try {
+      await announceAuctionStart(auction, io);
+    } catch (error) {
+      console.error(`Failed to announce start of auction ${auction._id}:`, error);
+    }
+  }
+
+  return activated;
+};
+
+// Atomically claim one ended auction for settlement. Only one process can
+// hold the claim at a time, which prevents double settlement.
+const claimEndedAuction = (now) => {
+  return Auction.findOneAndUpdate(
+    {
+      status: 'active',
+      endTime: { $lte: now },
+      $or: [
+        { settlementLockedUntil: null },
+        { settlementLockedUntil: { $lte: now } }
+      ]
+    },
+    { settlementLockedUntil: new Date(now.getTime() + SETTLEMENT_LEASE_MS) },
+    { new: true, sort: { endTime: 1 } }
+  );
+};
+
+// Check whether a bid the auction accepted moments before it ended is
+// still being saved. Past the grace period a missing bid can only be one
+// whose save failed, so settlement goes ahead without it.
+const hasUnsavedBids = async (auction) => {
+  if (Date.now() - auction.endTime > UNSAVED_BID_GRACE_MS) {
+    return false;
+  }
+
+  const saved = await Bid.countDocuments({ _id: { $in: auction.bids } });
+  return saved < auction.bids.length;
+};
+
+// Get the current best bid for an auction: the highest, or the lowest on
+// reverse auctions (earliest bid wins ties)
+const findBestBid = (auction) => {
+  return Bid.findOne({ auction: auction._id })
+    .standing()
+    .sort({ amount: isReverseAuction(auction) ? 1 : -1, createdAt: 1 })
+    .populate('bidder', 'name avatar');
+};
+
+// Work out what the winner pays. Second-price auctions charge one increment
+// above the runner-up, never below the minimum amount or reserve and never
+// above the winner's own bid; every other format charges the winning bid.
+const getClearingPrice = async (auction, winningBid) => {
+  if (auction.auctionType !== 'sealed_second_price') {
+    return winningBid.amount;
+  }
+
+  const runnerUp = await Bid.findOne({ auction: auction._id, _id: { $ne: winningBid._id } })
+    .standing()
+    .sort({ amount: -1, createdAt: 1 });
+
+  const floor = Math.max(auction.minAuctionAmount, auction.reservePrice || 0);
+  const price = runnerUp
+    ? runnerUp.amount + getBidIncrement(auction, runnerUp.amount)
+    : floor;
+
+  return Math.min(winningBid.amount, Math.max(price, floor));
+};
+
+// Mark the winning bid and flag every other bid as outbid
+const flagWinningBid = async (auctionId, winningBid) => {
+  await Bid.updateMany(
+    { auction: auctionId, _id: { $ne: winningBid._id } },
+    { isWinning: false, isOutbid: true }
+  );
+  await Bid.updateOne(
+    { _id: winningBid._id },
+    { isWinning: true, isOutbid: false }
+  );
+};
+
+// Tell the winner they won and log it
+const notifyWinner = async (auction, winningBid) => {
+  await createNotification({
+    user: winningBid.bidder._id,
+    type: 'auction_won',
+    title: 'You won the auction',
+    message: isReverseAuction(auction)
+      ? `Congratulations! Your bid of ₹${winningBid.amount} won the request "${auction.title}". The buyer will pay ₹${auction.finalPrice}`
+      : `Congratulations! You won "${auction.title}" with a bid of ₹${winningBid.amount}. Amount due: ₹${auction.finalPrice}`,
+    auction: auction._id,
+    bid: winningBid._id
+  });
+
+  await ActivityLog.logActivity({
+    user: winningBid.bidder._id,
+    action: 'bid_won',
+    description: `Won auction: ${auction.title}`,
+    metadata: { auctionId: auction._id, amount: winningBid.amount, finalPrice: auction.finalPrice },
+    auction: auction._id,
+    bid: winningBid._id
+  });
+};
+
+// Tell every bidder except the winner that the auction ended without them
+const notifyLosingBidders = async (auction, winningBid, message) => {
+  const bidderIds = await Bid.distinct('bidder', { auction: auction._id }).standing();
+
+  for (const bidderId of bidderIds) {
+    if (winningBid && bidderId.toString() === winningBid.bidder._id.toString()) {
+      continue;
+    }
+
+    await createNotification({
+      user: bidderId,
+      type: 'auction_lost',
+      title: 'Auction ended',
+      message: message || `The auction "${auction.title}" has ended and your bid did not win`,
+      auction: auction._id
+    });
+  }
+};
+
+// Broadcast the final result to everyone in the auction room
+const emitAuctionEnded = (io, auction, winningBid) => {
+  return emitToAuction(io, auction._id, 'auctionEnded', {
+    auctionId: auction._id,
+    status: auction.status,
+    result: auction.result,
+    reserveMet: auction.reserveMet,
+    winner: winningBid ? {
+      _id: winningBid.bidder._id,
+      name: winningBid.bidder.name,
+      avatar: winningBid.bidder.avatar
+    } : null,
+    winningBid: winningBid ? {
+      _id: winningBid._id,
+      amount: winningBid.amount
+    } : null,
+    finalPrice: auction.finalPrice,
+    winners: auction.isLot ? auction.winners : undefined,
+    relistedTo: auction.relistedTo
+  });
+};
+
+// Complete a claimed auction, unless a late bid pushed its end time out.
+// Returns null, releasing the claim, if the auction could not be completed.
+const completeAuction = async (auction, update) => {
+  const settled = await Auction.findOneAndUpdate(
+    { _id: auction._id, status: 'active', endTime: { $lte: new Date() } },
+    update,
+    { new: true }
+  );
+
+  if (!settled) {
+    await Auction.updateOne(
+      { _id: auction._id, status: 'active' },
+      { $unset: { settlementLockedUntil: 1 } }
+    );
+  }
+
+  return settled;
+};
+
+// Close a claimed multi-quantity lot: allocate its units to the best bids
+// and tell every winner how many units they won and what they owe
+const settleLot = async (auction, io) => {
+  const bids = await Bid.find({ auction: auction._id })
+    .standing()
+    .populate('bidder', 'name avatar');
+  const { allocations, clearingPrice } = allocateLot(auction, bids);
+
+  const winningBidIds = allocations.map(allocation => allocation.bid);
+  if (allocations.length) {
+    await Bid.updateMany(
+      { auction: auction._id, _id: { $nin: winningBidIds } },
+      { isWinning: false, isOutbid: true }
+    );
+    await Bid.updateMany(
+      { _id: { $in: winningBidIds } },
+      { isWinning: true, isOutbid: false }
+    );
+  }
+
+  const update = {
+    status: 'completed',
+    settledAt: new Date(),
+    $unset: { settlementLockedUntil: 1 }
+  };
+
+  if (!allocations.length) {
+    update.result = 'no_bids';
+  } else {
+    update.result = 'sold';
+    update.paymentDueAt = getPaymentDueAt();
+    update.winners = allocations;
+    update.winner = allocations[0].user;
+    update.winningBid = allocations[0].bid;
+    update.currentBid = clearingPrice;
+  }
+
+  const settled = await completeAuction(auction, update);
+  if (!settled) {
+    return null;
+  }
+
+  for (const allocation of allocations) {
+    await createNotification({
+      user: allocation.user,
+      type: 'auction_won',
+      title: 'You won the auction',
+      message: `Congratulations! You won ${allocation.quantity} of ${settled.quantity} units of "${settled.title}" at ₹${allocation.unitPrice} each. Amount due: ₹${allocation.amount}`,
+      auction: settled._id,
+      bid: allocation.bid,
+      data: { quantity: allocation.quantity, unitPrice: allocation.unitPrice, amount: allocation.amount }
+    });
+
+    await ActivityLog.logActivity({
+      user: allocation.user,
+      action: 'bid_won',
+      description: `Won auction: ${settled.title}`,
+      metadata: {
+        auctionId: settled._id,
+        quantity: allocation.quantity,
+        unitPrice: allocation.unitPrice,
+        amount: allocation.amount
+      },
+      auction: settled._id,
+      bid: allocation.bid
+    });
+
+    await requestPayment(settled, { _id: allocation.bid }, allocation);
+  }
+
+  const winnerIds = new Set(allocations.map(allocation => allocation.user.toString()));
+  const bidderIds = await Bid.distinct('bidder', { auction: settled._id }).standing();
+  for (const bidderId of bidderIds) {
+    if (winnerIds.has(bidderId.toString())) continue;
+
+    await createNotification({
+      user: bidderId,
+      type: 'auction_lost',
+      title: 'Auction ended',
+      message: `The auction "${settled.title}" has ended and your bid did not win any units`,
+      auction: settled._id
+    });
+  }
+
+  const winningBid = allocations.length
+    ? bids.find(bid => bid._id.toString() === allocations[0].bid.toString())
+    : null;
+
+  if (!winningBid) {
+    const relisted = await autoRelistAuction(settled);
+    if (relisted) {
+      settled.relistedTo = relisted._id;
+    }
+  }
+
+  await emitAuctionEnded(io, settled, winningBid);
+
+  return settled;
+};
+
+// Close a claimed auction: pick the winning bid, enforce the reserve price,
+// mark the auction completed and broadcast the result to the auction room.
+// Returns null if another process completed the auction first, or if bids
+// it accepted at the last moment are still being saved.
+const settleAuction = async (auction, io) => {
+  // Keep the claim, but only until the missing bids have had time to land
+  if (await hasUnsavedBids(auction)) {
+    await Auction.updateOne(
+      { _id: auction._id, status: 'active' },
+      { settlementLockedUntil: new Date(Date.now() + UNSAVED_BID_RETRY_MS) }
+    );
+    return null;
+  }
+
+  if (auction.isLot) {
+    return settleLot(auction, io);
+  }
+
+  const bestBid = await findBestBid(auction);
+  const reserveMet = !bestBid || !auction.reservePrice || bestBid.amount >= auction.reservePrice;
+  const winningBid = reserveMet ? bestBid : null;
+
+  // Flag bids before completing the auction so a retried settlement
+  // converges on the same state
+  if (winningBid) {
+    await flagWinningBid(auction._id, winningBid);
+  }
+
+  const update = {
+    status: 'completed',
+    settledAt: new Date(),
+    $unset: { settlementLockedUntil: 1 }
+  };
+
+  if (!bestBid) {
+    update.result = 'no_bids';
+  } else if (!winningBid) {
+    update.result = 'reserve_not_met';
+    update.currentBid = bestBid.amount;
+  } else {
+    update.result = 'sold';
+    update.paymentDueAt = getPaymentDueAt();
+    update.winner = winningBid.bidder._id;
+    update.winningBid = winningBid._id;
+    update.finalPrice = await getClearingPrice(auction, winningBid);
+    update.currentBid = update.finalPrice;
+  }
+
+  const settled = await completeAuction(auction, update);
+  if (!settled) {
+    return null;
+  }
+
+  // Unsold auctions follow the seller's relisting rules
+  const relisted = winningBid ? null : await autoRelistAuction(settled);
+  if (relisted) {
+    settled.relistedTo = relisted._id;
+  }
+
+  if (winningBid) {
+    await notifyWinner(settled, winningBid);
+    await notifyLosingBidders(settled, winningBid);
+    await requestPayment(settled, winningBid);
+  } else if (bestBid) {
+    await notifyLosingBidders(
+      settled,
+      null,
+      `The auction "${settled.title}" ended without meeting the seller's reserve price`
+    );
+
+    await createNotification({
+      user: settled.seller,
+      type: 'reserve_not_met',
+      title: 'Reserve price not met',
+      message: relisted
+        ? `Your auction "${settled.title}" ended at ₹${bestBid.amount}, below your reserve price, and has been relisted automatically.`
+        : `Your auction "${settled.title}" ended at ₹${bestBid.amount}, below your reserve price. You can accept the highest bid or relist the item.`,
+      auction: settled._id,
+      bid: bestBid._id
+    });
+  }
+
+  await emitAuctionEnded(io, settled, winningBid);
+
+  return settled;
+};
+
+// Close an approved auction whose whole run passed before the scheduler
+// activated it (server downtime, or approval after the end time). It never
+// took bids, so it ends unsold. Returns null if there is none.
+const closeMissedAuction = async (io) => {
+  const now = new Date();
+  const closed = await Auction.findOneAndUpdate(
+    {
+      status: { $in: ['pending', 'scheduled'] },
+      isApproved: true,
+      endTime: { $lte: now }
+    },
+    {
+      status: 'completed',
+      result: 'no_bids',
+      settledAt: now
+    },
+    { new: true, sort: { endTime: 1 } }
+  );
+  if (!closed) {
+    return null;
+  }
+
+  try {
+    const relisted = await autoRelistAuction(closed);
+    if (relisted) {
+      closed.relistedTo = relisted._id;
+    }
+
+    await emitAuctionEnded(io, closed, null);
+  } catch (error) {
+    console.error(`Failed to finish closing missed auction ${closed._id}:`, error);
+  }
+
+  return closed;
+};
+
+// Settle every auction whose end time has passed
+const closeDueAuctions = async (io) => {
+  let closed = 0;
+
+  for (let i = 0; i < SETTLEMENT_BATCH_SIZE; i++) {
+    if (!await closeMissedAuction(io)) break;
+    closed += 1;
+  }
+
+  for (let i = 0; i < SETTLEMENT_BATCH_SIZE; i++) {
+    const auction = await claimEndedAuction(new Date());
+    if (!auction) break;
+
+    try {
+      if (await settleAuction(auction, io)) {
+        closed += 1;
+      }
+    } catch (error) {
+      // Leave the claim in place; it expires and the auction is retried
+      console.error(`Failed to settle auction ${auction._id}:`, error);
+    }
+  }
+
+  return closed;
+};
+
+// Sell an auction that ended below its reserve to its highest bidder.
+// Returns null if the auction is no longer awaiting the seller's decision.
+const acceptHighestBid = async (auction, io) => {
+  const highestBid = await findBestBid(auction);
+  if (!highestBid) {
+    return null;
+  }
+
+  const finalPrice = await getClearingPrice(auction, highestBid);
+
+  const accepted = await Auction.findOneAndUpdate(
+    { _id: auction._id, result: 'reserve_not_met', relistedTo: null },
+    {
+      result: 'sold',
+      winner: highestBid.bidder._id,
+      winningBid: highestBid._id,
+      finalPrice,
+      currentBid: finalPrice,
+      paymentDueAt: getPaymentDueAt()
+    },
+    { new: true }
+  );
+
+  if (!accepted) {
+    return null;
+  }
+
+  await flagWinningBid(accepted._id, highestBid);
+  await notifyWinner(accepted, highestBid);
+  await requestPayment(accepted, highestBid);
+  await emitAuctionEnded(io, accepted, highestBid);
+
+  return accepted;
+};
+
+// Ask the buyer to pay by the deadline: the winner, the owner of a reverse
+// auction, or with `allocation`, one winner of a lot for their units
+const requestPayment = async (auction, winningBid, allocation) => {
+  const amount = allocation ? allocation.amount : auction.finalPrice;
+
+  await createNotification({
+    user: allocation ? allocation.user : auction.getBuyerId(),
+    type: 'payment_required',
+    title: 'Payment required',
+    message: auction.paymentDueAt
+      ? `Please complete payment of ₹${amount} for "${auction.title}" by ${auction.paymentDueAt.toUTCString()}`
+      : `Please complete payment of ₹${amount} for "${auction.title}"`,
+    auction: auction._id,
+    bid: winningBid._id,
+    data: { amount }
+  });
+};
+
+// End an active auction immediately by selling it to a buyer at a fixed
+// price. The close is a single conditional update (extra conditions in
+// `match`), so only the first buyer wins, and the purchase bid is saved
+// once the auction is closed. Returns null if the auction no longer
+// satisfies the conditions.
+const closeWithPurchase = async ({ auction, buyerId, price, match, result, bidFields, loserMessage, io }) => {
+  const now = new Date();
+  const bidId = new mongoose.Types.ObjectId();
+
+  const closed = await Auction.findOneAndUpdate(
+    {
+      ...match,
+      _id: auction._id,
+      status: 'active',
+      endTime: { $gt: now }
+    },
+    {
+      $set: {
+        status: 'completed',
+        result,
+        winner: buyerId,
+        winningBid: bidId,
+        currentBid: price,
+        finalPrice: price,
+        settledAt: now,
+        paymentDueAt: getPaymentDueAt(now)
+      },
+      $push: { bids: bidId },
+      $unset: { settlementLockedUntil: 1 }
+    },
+    { new: true }
+  );
+
+  // Someone else bought it first, or the conditions no longer hold
+  if (!closed) {
+    return null;
+  }
+
+  // If the bid cannot be saved, reopen the auction as it was
+  const bid = await saveAcceptedBid(
+    { ...bidFields, _id: bidId, auction: auction._id, bidder: buyerId, amount: price },
+    () => Auction.updateOne(
+      { _id: auction._id, status: 'completed', winningBid: bidId },
+      {
+        $set: { status: 'active', currentBid: auction.currentBid },
+        $pull: { bids: bidId },
+        $unset: { result: 1, winner: 1, winningBid: 1, finalPrice: 1, settledAt: 1, paymentDueAt: 1 }
+      }
+    )
+  );
+
+  await bid.populate('bidder', 'name avatar');
+
+  await flagWinningBid(closed._id, bid);
+  await notifyWinner(closed, bid);
+  await notifyLosingBidders(closed, bid, loserMessage);
+  await requestPayment(closed, bid);
+
+  await emitToAuction(io, closed._id, 'newBid', {
+    bid: {
+      _id: bid._id,
+      amount: bid.amount,
+      bidder: {
+        _id: bid.bidder._id,
+        name: bid.bidder.name,
+        avatar: bid.bidder.avatar
+      },
+      timestamp: bid.timestamp,
+      ...bidFields
+    },
+    currentBid: closed.currentBid,
+    bidderCount: closed.bids.length
+  });
+  await emitAuctionEnded(io, closed, bid);
+
+  return { auction: closed, bid };
+};
+
+// Sell an auction at its buy-now price. The option is re-checked in the
+// closing update, so a bid that withdrew it cannot slip in between.
+const buyNow = (auction, buyerId, io) => {
+  return closeWithPurchase({
+    auction,
+    buyerId,
+    price: auction.buyNowPrice,
+    match: {
+      buyNowPrice: auction.buyNowPrice,
+      currentBid: { $lt: getBuyNowCutoff(auction.buyNowPrice) }
+    },
+    result: 'bought_now',
+    bidFields: { isBuyNow: true },
+    loserMessage: `"${auction.title}" was sold to another user through Buy It Now`,
+    io
+  });
+};
+
+// Award a Dutch auction to the first user to accept its current price
+const acceptDutchPrice = (auction, buyerId, io) => {
+  return closeWithPurchase({
+    auction,
+    buyerId,
+    price: getDutchPrice(auction, new Date()),
+    match: { auctionType: 'dutch' },
+    result: 'sold',
+    bidFields: {},
+    io
+  });
+};
+
+// Create a fresh listing from an unsold auction, linked back to it.
+// The new auction keeps the original approval and runs for the same
+// duration unless overridden. Returns null if it was already relisted.
+const relistAuction = async (auction, overrides = {}) => {
+  const listing = {};
+  RELIST_FIELDS.forEach(field => {
+    if (auction[field] !== undefined) {
+      listing[field] = auction[field];
+    }
+  });
+
+  const duration = auction.endTime - auction.startTime;
+  const startTime = overrides.startTime ? new Date(overrides.startTime) : new Date();
+
+  const relisted = new Auction({
+    ...listing,
+    ...overrides,
+    startTime,
+    endTime: overrides.endTime ? new Date(overrides.endTime) : new Date(startTime.getTime() + duration),
+    seller: auction.seller,
+    status: auction.isApproved && startTime > new Date() ? 'scheduled' : 'pending',
+    isApproved: auction.isApproved,
+    approvedBy: auction.approvedBy,
+    approvedAt: auction.approvedAt,
+    relistedFrom: auction._id,
+    relistRoot: auction.relistRoot || auction._id,
+    relistCount: (auction.relistCount || 0) + 1
+  });
+  await relisted.validate();
+
+  // Link the original first so two concurrent requests cannot both relist it
+  const original = await Auction.findOneAndUpdate(
+    { _id: auction._id, relistedTo: null },
+    { relistedTo: relisted._id },
+    { new: true }
+  );
+
+  if (!original) {
+    return null;
+  }
+
+  await relisted.save();
+
+  return relisted;
+};
+
+// Lower a price by a percentage, keeping it a whole number of at least 1
+const dropPrice = (price, percent) => {
+  return Math.max(1, Math.round(price * (100 - percent) / 100));
+};
+
+// Apply the seller's relisting rules to an auction that just ended unsold.
+// Returns the new listing, or null if no automatic relist is due. Failures
+// are logged rather than thrown so they never undo the settlement; the
+// seller can still relist by hand.
+const autoRelistAuction = async (auction) => {
+  const { maxRelists = 0, priceDropPercent = 0 } = auction.autoRelist || {};
+  if ((auction.relistCount || 0) >= maxRelists) {
+    return null;
+  }
+
+  try {
+    const overrides = {};
+    if (priceDropPercent > 0) {
+      overrides.basePrice = dropPrice(auction.basePrice, priceDropPercent);
+      overrides.minAuctionAmount = dropPrice(auction.minAuctionAmount, priceDropPercent);
+    }
+
+    const relisted = await relistAuction(auction, overrides);
+    if (!relisted) {
+      return null;
+    }
+
+    await createNotification({
+      user: auction.seller,
+      type: 'auction_relisted',
+      title: 'Auction relisted',
+      message: `Your auction "${auction.title}" ended unsold and has been relisted (${relisted.relistCount} of ${maxRelists}) starting at ₹${relisted.minAuctionAmount}`,
+      auction: relisted._id,
+      data: { relistedFrom: auction._id, relistCount: relisted.relistCount }
+    });
+
+    return relisted;
+  } catch (error) {
+    console.error(`Failed to relist auction ${auction._id}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  activateDueAuctions,
+  closeDueAuctions,
+  settleAuction,
+  acceptHighestBid,
+  buyNow,
+  acceptDutchPrice,
+  relistAuction,
+  flagWinningBid,
+  requestPayment
+};
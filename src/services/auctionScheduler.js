@@ -0,0 +1,68 @@
+const { activateDueAuctions, closeDueAuctions } = require('./auctionLifecycle');
+const { tickDutchAuctions } = require('./dutchAuction');
+const { markOverduePayments, expireSecondChanceOffers } = require('./secondChance');
+const { announceEndingSoon, broadcastTimeSync } = require('./endingSoon');
+const { settleStaleBidCredits } = require('./bidCredits');
+
+// Default polling interval for the lifecycle scheduler
+const DEFAULT_INTERVAL_MS = 5000;
+
+let timer = null;
+let running = false;
+
+// Scheduler steps in the order they run. Each runs even if an earlier
+// one failed, so one broken feature never stops auctions from settling.
+const SCHEDULER_STEPS = [
+  activateDueAuctions,
+  tickDutchAuctions,
+  announceEndingSoon,
+  broadcastTimeSync,
+  closeDueAuctions,
+  markOverduePayments,
+  expireSecondChanceOffers,
+  settleStaleBidCredits
+];
+
+// Run one scheduler pass. Passes never overlap within a process; across
+// processes the lifecycle service relies on atomic claims instead.
+const runSchedulerTick = async (io) => {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const step of SCHEDULER_STEPS) {
+      try {
+        await step(io);
+      } catch (error) {
+        console.error(`Auction scheduler step ${step.name} failed:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+// Start polling for auctions that need to be activated or closed
+const startAuctionScheduler = (io) => {
+  if (timer) return;
+
+  const intervalMs = parseInt(process.env.AUCTION_SCHEDULER_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+  timer = setInterval(() => runSchedulerTick(io), intervalMs);
+
+  // Catch up on anything that ended while the server was down
+  runSchedulerTick(io);
+};
+
+// Stop the scheduler (used on shutdown)
+const stopAuctionScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startAuctionScheduler,
+  stopAuctionScheduler,
+  runSchedulerTick
+};
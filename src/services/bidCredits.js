@@ -0,0 +1,141 @@
+const User = require('../models/User');
+const Auction = require('../models/Auction');
+const CreditTransaction = require('../models/CreditTransaction');
+
+// Balances only change through conditional $inc updates, and every change
+// is written to the CreditTransaction ledger with the resulting balance.
+// A credit taken for a penny bid is held on the user until the bid's fate
+// is known, so a crash mid-bid never loses it (see settleStaleBidCredits).
+
+// How long a credit may stay held before the scheduler settles it
+const CREDIT_HOLD_TIMEOUT_MS = 60 * 1000;
+
+// Maximum number of users whose held credits are settled in one pass
+const SETTLEMENT_BATCH_SIZE = 50;
+
+// Add the credits from a paid bid pack to the buyer's wallet. The credits
+// and the record that this payment was credited (creditedPayments) land in
+// one update, and the ledger allows one purchase entry per payment, so
+// settlement can be retried, or race between verification and the webhook,
+// without crediting twice (see services/payments).
+const creditBidPack = async (payment) => {
+  let user = await User.findOneAndUpdate(
+    { _id: payment.user, creditedPayments: { $ne: payment._id } },
+    { $inc: { bidCredits: payment.bidCredits }, $push: { creditedPayments: payment._id } },
+    { new: true }
+  );
+
+  // Already credited; make sure the ledger has it
+  if (!user) {
+    const credited = await CreditTransaction.findOne({ payment: payment._id, type: 'purchase' });
+    if (credited) {
+      return credited;
+    }
+    user = await User.findById(payment.user);
+  }
+
+  try {
+    return await CreditTransaction.create({
+      user: payment.user,
+      type: 'purchase',
+      credits: payment.bidCredits,
+      balanceAfter: user.bidCredits,
+      description: `Bought ${payment.bidCredits} credits (${payment.bidPackId} pack)`,
+      bidPackId: payment.bidPackId,
+      payment: payment._id
+    });
+  } catch (error) {
+    // A concurrent settlement recorded it first
+    if (error.code === 11000) {
+      return CreditTransaction.findOne({ payment: payment._id, type: 'purchase' });
+    }
+    throw error;
+  }
+};
+
+// Take one credit for a penny auction bid and hold it against the bid
+// (pendingBidCredits) in the same update, until the bid is accepted
+// (settleBidCredit) or not (refundBidCredit). Returns the user's new
+// balance, or null if they have no credits left.
+const holdBidCredit = async (userId, auctionId, bidId) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, bidCredits: { $gte: 1 } },
+    {
+      $inc: { bidCredits: -1 },
+      $push: { pendingBidCredits: { bid: bidId, auction: auctionId, heldAt: new Date() } }
+    },
+    { new: true }
+  );
+
+  return user ? user.bidCredits : null;
+};
+
+// Record a held credit as spent once the auction has accepted its bid.
+// The ledger entry is keyed by the bid, so settling twice records it once.
+const settleBidCredit = async (userId, auctionId, bidId, balanceAfter) => {
+  try {
+    await CreditTransaction.updateOne(
+      { bid: bidId, type: 'bid' },
+      {
+        $setOnInsert: {
+          user: userId,
+          credits: -1,
+          balanceAfter,
+          description: 'Penny auction bid',
+          auction: auctionId
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent settlement inserted it first
+    if (error.code !== 11000) throw error;
+  }
+
+  await User.updateOne({ _id: userId }, { $pull: { pendingBidCredits: { bid: bidId } } });
+};
+
+// Give back a held credit whose bid was not accepted. The hold is released
+// in the same update, so a credit is never returned twice.
+const refundBidCredit = (userId, bidId) => {
+  return User.updateOne(
+    { _id: userId, 'pendingBidCredits.bid': bidId },
+    { $inc: { bidCredits: 1 }, $pull: { pendingBidCredits: { bid: bidId } } }
+  );
+};
+
+// Settle credits still held after CREDIT_HOLD_TIMEOUT_MS, left behind by a
+// request that never finished (e.g. the process crashed mid-bid): spent if
+// the auction accepted the bid, returned if it did not
+const settleStaleBidCredits = async () => {
+  const cutoff = new Date(Date.now() - CREDIT_HOLD_TIMEOUT_MS);
+  const users = await User.find({ 'pendingBidCredits.heldAt': { $lte: cutoff } })
+    .select('+pendingBidCredits')
+    .limit(SETTLEMENT_BATCH_SIZE);
+
+  let settled = 0;
+  for (const user of users) {
+    for (const hold of user.pendingBidCredits.filter(entry => entry.heldAt <= cutoff)) {
+      try {
+        if (await Auction.exists({ _id: hold.auction, bids: hold.bid })) {
+          await settleBidCredit(user._id, hold.auction, hold.bid, user.bidCredits);
+        } else {
+          await refundBidCredit(user._id, hold.bid);
+        }
+        settled += 1;
+      } catch (error) {
+        console.error(`Failed to settle credit held for bid ${hold.bid}:`, error);
+      }
+    }
+  }
+
+  return settled;
+};
+
+module.exports = {
+  creditBidPack,
+  holdBidCredit,
+  settleBidCredit,
+  refundBidCredit,
+  settleStaleBidCredits
+};
@@ -0,0 +1,178 @@
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const MaxBid = require('../models/MaxBid');
+const User = require('../models/User');
+const { createNotification } = require('./notifications');
+const ActivityLog = require('../models/ActivityLog');
+const { rejectBid } = require('./bidding');
+const { allocateLot } = require('../utils/lotAllocation');
+const { isReverseAuction } = require('../config/auctionTypes');
+const {
+  RETRACTION_REASONS,
+  RETRACTION_CUTOFF_HOURS,
+  RECENT_BID_MINUTES
+} = require('../config/bidRetraction');
+
+// How many times currentBid is recomputed when other bids land first
+const MAX_RETRACT_ATTEMPTS = 10;
+
+// Check a retraction against the allowed reasons and time-window rules
+const validateRetraction = (auction, bid, reason, now) => {
+  if (!RETRACTION_REASONS.includes(reason)) {
+    throw rejectBid(`Reason must be one of: ${RETRACTION_REASONS.join(', ')}`);
+  }
+
+  if (bid.isRetracted) {
+    throw rejectBid('Bid has already been retracted');
+  }
+
+  if (bid.isSuperseded) {
+    throw rejectBid('This bid has been raised; retract your latest bid instead');
+  }
+
+  if (!auction || auction.status !== 'active' || now >= auction.endTime) {
+    throw rejectBid('Bids can only be retracted while the auction is active');
+  }
+
+  if (['dutch', 'penny'].includes(auction.auctionType) || bid.isBuyNow) {
+    throw rejectBid(`Bids on ${auction.auctionType} auctions cannot be retracted`);
+  }
+
+  const windowStart = auction.endTime.getTime() - RETRACTION_CUTOFF_HOURS * 60 * 60 * 1000;
+  const bidAgeMs = now - bid.createdAt;
+  if (now.getTime() >= windowStart && bidAgeMs > RECENT_BID_MINUTES * 60 * 1000) {
+    throw rejectBid(
+      `Within ${RETRACTION_CUTOFF_HOURS} hours of the end only bids placed in the last ${RECENT_BID_MINUTES} minutes can be retracted`
+    );
+  }
+};
+
+// Work out currentBid from the auction's standing bids. Returns undefined
+// if one of them is still being written by a concurrent request.
+const computeCurrentBid = async (auction) => {
+  const all = await Bid.find({ _id: { $in: auction.bids } });
+  if (all.length !== auction.bids.length) {
+    return undefined;
+  }
+
+  // Raised and retracted bids stay in the auction's bids but no longer count
+  const bids = all.filter(b => b.isStanding);
+
+  // Sealed auctions never expose a current bid
+  if (auction.isSealed) {
+    return auction.currentBid;
+  }
+
+  if (auction.isLot) {
+    return allocateLot(auction, bids).cutoff;
+  }
+
+  if (bids.length === 0) {
+    return 0;
+  }
+
+  const amounts = bids.map(b => b.amount);
+  return isReverseAuction(auction) ? Math.min(...amounts) : Math.max(...amounts);
+};
+
+// Retract a bid. The bid is flagged first so it stops counting, then
+// currentBid is recomputed from the bids still standing, so the previous
+// leader is restored. The bid stays in the auction's bids so the history
+// shows the retraction. The update is a compare-and-set like bid
+// acceptance, retried if other bids land first.
+// Returns the retracted bid and the updated auction.
+const retractStandingBid = async ({ bidId, userId, reason, explanation }) => {
+  const now = new Date();
+
+  const bid = await Bid.findById(bidId);
+  if (!bid) {
+    throw rejectBid('Bid not found', {}, 404);
+  }
+
+  if (bid.bidder.toString() !== userId.toString()) {
+    throw rejectBid('Not authorized to retract this bid', {}, 403);
+  }
+
+  let auction = await Auction.findById(bid.auction);
+  validateRetraction(auction, bid, reason, now);
+
+  const retracted = await Bid.findOneAndUpdate(
+    // A bid reserved for a raise (supersededBy set) is on its way out
+    { _id: bid._id, isRetracted: false, isSuperseded: false, supersededBy: null },
+    {
+      isRetracted: true,
+      retraction: { reason, explanation, retractedAt: now, reviewStatus: 'pending' }
+    },
+    { new: true }
+  );
+
+  if (!retracted) {
+    throw rejectBid('Bid has already been raised or retracted');
+  }
+
+  let updated = null;
+  for (let attempt = 0; attempt < MAX_RETRACT_ATTEMPTS && !updated; attempt++) {
+    if (attempt > 0) {
+      auction = await Auction.findById(bid.auction);
+    }
+
+    const currentBid = await computeCurrentBid(auction);
+    if (currentBid === undefined) continue;
+
+    // Lots accept bids against the bid count, so match that as well
+    const match = { _id: auction._id, status: 'active', currentBid: auction.currentBid };
+    if (auction.isLot) {
+      match.bids = { $size: auction.bids.length };
+    }
+
+    updated = await Auction.findOneAndUpdate(
+      match,
+      { $set: { currentBid } },
+      { new: true }
+    );
+  }
+
+  if (!updated) {
+    // Put the bid back rather than leave it retracted without the price
+    // following
+    await Bid.updateOne({ _id: bid._id }, { isRetracted: false, $unset: { retraction: 1 } });
+    throw rejectBid('The auction is receiving bids too quickly, please try again', {}, 409);
+  }
+
+  // A retracted bidder's proxy ceiling would bid straight back in
+  await MaxBid.deleteOne({ auction: updated._id, bidder: userId });
+
+  await User.updateOne({ _id: userId }, { $inc: { bidRetractionCount: 1 } });
+
+  await ActivityLog.logActivity({
+    user: userId,
+    action: 'bid_retracted',
+    description: `Retracted a bid on auction: ${updated.title}`,
+    metadata: {
+      auctionId: updated._id,
+      amount: retracted.amount,
+      reason,
+      explanation,
+      currentBid: updated.currentBid
+    },
+    auction: updated._id,
+    bid: retracted._id
+  });
+
+  await createNotification({
+    user: updated.seller,
+    type: 'bid_retracted',
+    title: 'Bid retracted',
+    message: updated.isSealed
+      ? `A sealed bid was retracted on your auction "${updated.title}"`
+      : `A bid of ₹${retracted.amount} was retracted on your auction "${updated.title}"`,
+    auction: updated._id,
+    bid: retracted._id
+  });
+
+  return { bid: retracted, auction: updated };
+};
+
+module.exports = {
+  retractStandingBid
+};
@@ -0,0 +1,501 @@
+const mongoose = require('mongoose');
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const { getNextMinimumBid, getNextMaximumBid } = require('../utils/bidIncrement');
+const { allocateLot } = require('../utils/lotAllocation');
+const { isSealedAuction, isReverseAuction } = require('../config/auctionTypes');
+const { holdBidCredit, settleBidCredit, refundBidCredit } = require('./bidCredits');
+const { getSoftCloseExtension, buildSoftCloseUpdate } = require('./softClose');
+
+// How many times a bid is re-validated when other bids land first
+const MAX_ACCEPT_ATTEMPTS = 5;
+
+// Build an error describing why a bid was rejected. Amount rejections
+// carry the next valid bid (nextMinimumBid, or nextMaximumBid on reverse
+// auctions) so clients can retry.
+const rejectBid = (message, details = {}, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, details);
+  return error;
+};
+
+// Get the next valid bid to report alongside a rejection
+const getNextBidDetails = (auction) => {
+  return isReverseAuction(auction)
+    ? { nextMaximumBid: getNextMaximumBid(auction) }
+    : { nextMinimumBid: getNextMinimumBid(auction) };
+};
+
+// Check a bid against the auction as currently stored
+const validateBid = (auction, bidderId, amount) => {
+  if (!auction) {
+    throw rejectBid('Auction not found', {}, 404);
+  }
+
+  if (auction.status !== 'active') {
+    throw rejectBid('Auction is not active');
+  }
+
+  if (new Date() > new Date(auction.endTime)) {
+    throw rejectBid('Auction has ended');
+  }
+
+  if (auction.seller.toString() === bidderId.toString()) {
+    throw rejectBid(isReverseAuction(auction)
+      ? 'Buyers cannot bid on their own requests'
+      : 'Sellers cannot bid on their own auctions');
+  }
+
+  if (auction.auctionType === 'dutch') {
+    throw rejectBid('Dutch auctions are won by accepting the current price');
+  }
+
+  if (isReverseAuction(auction)) {
+    const nextMaximumBid = getNextMaximumBid(auction);
+    if (!Number.isInteger(amount) || amount < 1 || amount > nextMaximumBid) {
+      throw rejectBid(`Bid must be at most ₹${nextMaximumBid}`, { nextMaximumBid });
+    }
+    return;
+  }
+
+  const nextMinimumBid = getNextMinimumBid(auction);
+  if (!Number.isInteger(amount) || amount < nextMinimumBid) {
+    throw rejectBid(`Bid must be at least ₹${nextMinimumBid}`, { nextMinimumBid });
+  }
+};
+
+// Save a bid the auction has already accepted, under the id its update
+// recorded. Bids are only ever created here, once the auction points at
+// them, so nothing that reads bids directly sees one that was not
+// accepted. If the save fails, `undo` reverts the auction update before
+// the error is rethrown.
+const saveAcceptedBid = async (fields, undo) => {
+  try {
+    return await Bid.create(fields);
+  } catch (error) {
+    await undo();
+    throw error;
+  }
+};
+
+// Take a bid whose save failed back out of the auction, and reset the
+// fields its update set (`accepted`) to `previous` unless a later bid has
+// already moved them on
+const withdrawBid = async (auctionId, bidId, accepted, previous) => {
+  await Auction.updateOne(
+    { _id: auctionId },
+    { $pull: { bids: bidId, endTimeExtensions: { bid: bidId } } }
+  );
+  if (previous) {
+    await Auction.updateOne({ _id: auctionId, ...accepted }, { $set: previous });
+  }
+};
+
+// Build the conditional update that accepts a bid, extending the auction
+// in the same update when the bid lands in its soft-close window so the
+// auction can never close between the two. `match` and `set` hold the
+// format's own conditions and changes. Returns the filter, the update,
+// and the fields a failed save has to restore (see withdrawBid).
+const buildAcceptance = (auction, bidId, match, set) => {
+  const now = new Date();
+  const extension = getSoftCloseExtension(auction, now);
+  const filter = {
+    ...match,
+    _id: auction._id,
+    status: 'active',
+    endTime: extension ? { $eq: extension.previousEndTime, $gt: now } : { $gt: now }
+  };
+  const update = { $set: { ...set }, $push: { bids: bidId } };
+  const accepted = { ...set };
+  const previous = {};
+  Object.keys(set).forEach(field => {
+    previous[field] = auction[field];
+  });
+
+  if (extension) {
+    const softClose = buildSoftCloseUpdate(extension, bidId);
+    Object.assign(update.$set, softClose.$set);
+    Object.assign(update.$push, softClose.$push);
+    update.$pull = softClose.$pull;
+    accepted.endTime = extension.newEndTime;
+    previous.endTime = extension.previousEndTime;
+  }
+
+  return { filter, update, accepted, previous, extension };
+};
+
+// Atomically accept a bid. The auction's currentBid is advanced (lowered on
+// reverse auctions) with a compare-and-set against the value the bid was
+// validated on, so two concurrent bids can never both be accepted at the
+// same price. A bid that loses the race is re-validated against the new
+// price and retried. A bid in the soft-close window extends the auction in
+// the same update. The bid is saved once the auction has accepted it.
+// Returns the saved bid, the updated auction and any extension applied.
+const acceptBid = async ({
+  auctionId,
+  bidderId,
+  amount,
+  isAutomatic = false,
+  supersedes,
+  bidId = new mongoose.Types.ObjectId(),
+  maxAttempts = MAX_ACCEPT_ATTEMPTS
+}) => {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const auction = await Auction.findById(auctionId);
+    validateBid(auction, bidderId, amount);
+
+    if (isSealedAuction(auction)) {
+      throw rejectBid('Sealed-bid auctions only accept sealed bids');
+    }
+
+    if (auction.isLot) {
+      throw rejectBid('Bids on multi-quantity lots must specify a quantity');
+    }
+
+    if (auction.auctionType === 'penny') {
+      throw rejectBid('Penny auction bids are placed with a bid credit');
+    }
+
+    const { filter, update, accepted, previous, extension } = buildAcceptance(
+      auction,
+      bidId,
+      { currentBid: auction.currentBid },
+      { currentBid: amount }
+    );
+    const updated = await Auction.findOneAndUpdate(filter, update, { new: true });
+
+    // Another bid was accepted first; re-read and try again
+    if (!updated) continue;
+
+    const bid = await saveAcceptedBid(
+      { _id: bidId, auction: auctionId, bidder: bidderId, amount, isAutomatic, supersedes },
+      () => withdrawBid(auctionId, bidId, accepted, previous)
+    );
+
+    return { bid, auction: updated, extension };
+  }
+
+  const auction = await Auction.findById(auctionId);
+  throw rejectBid(
+    'The auction is receiving bids too quickly, please try again',
+    auction ? getNextBidDetails(auction) : {},
+    409
+  );
+};
+
+// Atomically accept a bid for some of a lot's units. A lot's currentBid is
+// the price a new bid has to beat, which depends on every standing bid, so
+// each bid is accepted against the exact set of bids it was priced on: the
+// update only matches while the auction still has that many bids.
+// Returns the saved bid, the updated auction and any extension applied.
+const acceptLotBid = async ({
+  auctionId,
+  bidderId,
+  amount,
+  quantity,
+  supersedes,
+  bidId = new mongoose.Types.ObjectId(),
+  maxAttempts = MAX_ACCEPT_ATTEMPTS
+}) => {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const auction = await Auction.findById(auctionId);
+    validateBid(auction, bidderId, amount);
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > auction.quantity) {
+      throw rejectBid(`Quantity must be a whole number from 1 to ${auction.quantity}`);
+    }
+
+    // A bid missing here is still being written by a concurrent request
+    const bids = await Bid.find({ _id: { $in: auction.bids } });
+    if (bids.length !== auction.bids.length) continue;
+
+    // A raise is priced without the bid it replaces
+    const { cutoff } = allocateLot(auction, [
+      ...bids.filter(b => b.isStanding && !(supersedes && b._id.equals(supersedes))),
+      { _id: bidId, bidder: bidderId, amount, quantity, createdAt: new Date() }
+    ]);
+
+    const { filter, update, accepted, previous, extension } = buildAcceptance(
+      auction,
+      bidId,
+      { bids: { $size: auction.bids.length } },
+      { currentBid: cutoff }
+    );
+    const updated = await Auction.findOneAndUpdate(filter, update, { new: true });
+
+    // Another bid was accepted first; re-read and try again
+    if (!updated) continue;
+
+    const bid = await saveAcceptedBid(
+      { _id: bidId, auction: auctionId, bidder: bidderId, amount, quantity, supersedes },
+      () => withdrawBid(auctionId, bidId, accepted, previous)
+    );
+
+    return { bid, auction: updated, extension };
+  }
+
+  const auction = await Auction.findById(auctionId);
+  throw rejectBid(
+    'The auction is receiving bids too quickly, please try again',
+    auction ? getNextBidDetails(auction) : {},
+    409
+  );
+};
+
+// Accept a penny auction bid. The bid costs one credit, held against the
+// bid before it is placed: spent once the auction accepts the bid and
+// returned if it does not. Should the request die in between, the
+// scheduler settles the held credit the same way. The bidder does not
+// choose the amount: each bid raises the price by the auction's fixed step
+// (with the same compare-and-set on currentBid as acceptBid) and pushes
+// the end time out to at least the countdown from now.
+// Returns the saved bid, the updated auction and the bidder's balance.
+const acceptPennyBid = async ({ auctionId, bidderId, maxAttempts = MAX_ACCEPT_ATTEMPTS }) => {
+  let auction = await Auction.findById(auctionId);
+  validateBid(auction, bidderId, auction ? getNextMinimumBid(auction) : 0);
+
+  if (auction.auctionType !== 'penny') {
+    throw rejectBid('Only penny auctions accept credit bids');
+  }
+
+  const leadingBid = await Bid.findOne({ auction: auctionId }).sort({ amount: -1 });
+  if (leadingBid && leadingBid.bidder.toString() === bidderId.toString()) {
+    throw rejectBid('You are already the highest bidder');
+  }
+
+  const bidId = new mongoose.Types.ObjectId();
+  const bidCredits = await holdBidCredit(bidderId, auctionId, bidId);
+  if (bidCredits === null) {
+    throw rejectBid('You have no bid credits left', {}, 402);
+  }
+
+  let accepted = null;
+  try {
+    for (let attempt = 0; attempt < maxAttempts && !accepted; attempt++) {
+      if (attempt > 0) {
+        auction = await Auction.findById(auctionId);
+        validateBid(auction, bidderId, getNextMinimumBid(auction));
+      }
+
+      const amount = getNextMinimumBid(auction);
+      const now = new Date();
+      const countdownEnd = new Date(now.getTime() + auction.penny.countdownSeconds * 1000);
+      const endTime = countdownEnd > auction.endTime ? countdownEnd : auction.endTime;
+
+      const updated = await Auction.findOneAndUpdate(
+        {
+          _id: auctionId,
+          status: 'active',
+          endTime: { $gt: now },
+          currentBid: auction.currentBid
+        },
+        {
+          $set: { currentBid: amount, endTime },
+          $push: { bids: bidId }
+        },
+        { new: true }
+      );
+
+      // Another bid was accepted first; re-read and try again
+      if (!updated) continue;
+
+      const bid = await saveAcceptedBid(
+        { _id: bidId, auction: auctionId, bidder: bidderId, amount },
+        () => withdrawBid(
+          auctionId,
+          bidId,
+          { currentBid: amount, endTime },
+          { currentBid: auction.currentBid, endTime: auction.endTime }
+        )
+      );
+      accepted = { bid, auction: updated };
+    }
+
+    if (!accepted) {
+      throw rejectBid(
+        'The auction is receiving bids too quickly, please try again',
+        {},
+        409
+      );
+    }
+  } catch (error) {
+    await refundBidCredit(bidderId, bidId);
+    throw error;
+  }
+
+  // The bid stands either way; a credit left held is settled later
+  try {
+    await settleBidCredit(bidderId, auctionId, bidId, bidCredits);
+  } catch (error) {
+    console.error(`Failed to settle the credit for bid ${bidId}:`, error);
+  }
+
+  return { ...accepted, bidCredits };
+};
+
+// Accept a sealed bid. Each bidder gets one sealed bid per auction,
+// enforced by a unique index. currentBid is left untouched so nothing
+// about the bids leaks before the auction closes.
+const acceptSealedBid = async ({ auctionId, bidderId, amount }) => {
+  const auction = await Auction.findById(auctionId);
+  validateBid(auction, bidderId, amount);
+
+  const existing = await Bid.exists({ auction: auctionId, bidder: bidderId, isSealed: true }).standing();
+  if (existing) {
+    throw rejectBid('You already have a sealed bid on this auction; revise it instead');
+  }
+
+  const bidId = new mongoose.Types.ObjectId();
+  const updated = await Auction.findOneAndUpdate(
+    { _id: auctionId, status: 'active', endTime: { $gt: new Date() } },
+    { $push: { bids: bidId } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw rejectBid('Auction has ended');
+  }
+
+  let bid;
+  try {
+    bid = await saveAcceptedBid(
+      { _id: bidId, auction: auctionId, bidder: bidderId, amount, isSealed: true },
+      () => withdrawBid(auctionId, bidId)
+    );
+  } catch (error) {
+    // A concurrent sealed bid from the same bidder was saved first
+    if (error.code === 11000) {
+      throw rejectBid('You already have a sealed bid on this auction; revise it instead');
+    }
+    throw error;
+  }
+
+  return { bid, auction: updated };
+};
+
+// Reserve a standing bid for replacement by the bid with id replacementId,
+// so it can only be raised once. The bid keeps counting until its
+// replacement has been accepted.
+const reserveBidForRaise = (bid, replacementId) => {
+  return Bid.findOneAndUpdate(
+    { _id: bid._id, isSuperseded: false, isRetracted: false, supersededBy: null },
+    { supersededBy: replacementId },
+    { new: true }
+  );
+};
+
+// Drop the reservation on a bid whose replacement was not accepted
+const releaseBidReservation = (bid, replacementId) => {
+  return Bid.updateOne(
+    { _id: bid._id, supersededBy: replacementId, isSuperseded: false },
+    { $unset: { supersededBy: 1 } }
+  );
+};
+
+// Claim a sealed bid for revision. Unlike open bids it stops counting
+// straight away, since a bidder may only have one standing sealed bid.
+const claimBidForRaise = (bid) => {
+  return Bid.findOneAndUpdate(
+    { _id: bid._id, isSuperseded: false, isRetracted: false },
+    { isSuperseded: true },
+    { new: true }
+  );
+};
+
+// Put back a claimed bid whose replacement was not accepted
+const releaseBidClaim = (bid) => {
+  return Bid.updateOne({ _id: bid._id, supersededBy: null }, { isSuperseded: false });
+};
+
+// Raise a bid. Bids are never edited: the raise is accepted as a new bid
+// (against the current price, like any other bid) that supersedes the
+// original, which stays in the history. The original keeps counting until
+// the raise is accepted, so the auction always has a leader. Lot raises
+// keep the original quantity unless a new one is given.
+// Returns the new bid and the updated auction.
+const raiseBid = async ({ bid, amount, quantity }) => {
+  const replacementId = new mongoose.Types.ObjectId();
+  const reserved = await reserveBidForRaise(bid, replacementId);
+  if (!reserved) {
+    throw rejectBid('This bid has already been raised or retracted; update your latest bid instead', {}, 409);
+  }
+
+  let accepted;
+  try {
+    const auction = await Auction.findById(bid.auction);
+    accepted = auction && auction.isLot
+      ? await acceptLotBid({
+        auctionId: bid.auction,
+        bidderId: bid.bidder,
+        amount,
+        quantity: quantity === undefined ? bid.quantity : quantity,
+        supersedes: bid._id,
+        bidId: replacementId
+      })
+      : await acceptBid({
+        auctionId: bid.auction,
+        bidderId: bid.bidder,
+        amount,
+        supersedes: bid._id,
+        bidId: replacementId
+      });
+  } catch (error) {
+    await releaseBidReservation(bid, replacementId);
+    throw error;
+  }
+
+  await Bid.updateOne(
+    { _id: bid._id, supersededBy: replacementId, isSuperseded: false },
+    { isSuperseded: true }
+  );
+  return accepted;
+};
+
+// Revise a sealed bid while the auction is still open. The revision is a
+// new sealed bid that supersedes the original, swapped into the auction's
+// bids in one update so the visible bid count does not change.
+const reviseSealedBid = async ({ bid, amount }) => {
+  const auction = await Auction.findById(bid.auction);
+  validateBid(auction, bid.bidder, amount);
+
+  const claimed = await claimBidForRaise(bid);
+  if (!claimed) {
+    throw rejectBid('This bid has already been revised or retracted; update your latest bid instead', {}, 409);
+  }
+
+  const revisedId = new mongoose.Types.ObjectId();
+  const updated = await Auction.findOneAndUpdate(
+    { _id: bid.auction, status: 'active', endTime: { $gt: new Date() }, bids: bid._id },
+    { $set: { 'bids.$': revisedId } },
+    { new: true }
+  );
+
+  // The auction closed before the revision was accepted
+  if (!updated) {
+    await releaseBidClaim(bid);
+    throw rejectBid('Auction has ended');
+  }
+
+  const revised = await saveAcceptedBid(
+    { _id: revisedId, auction: bid.auction, bidder: bid.bidder, amount, isSealed: true, supersedes: bid._id },
+    async () => {
+      await Auction.updateOne({ _id: bid.auction, bids: revisedId }, { $set: { 'bids.$': bid._id } });
+      await releaseBidClaim(bid);
+    }
+  );
+
+  await Bid.updateOne({ _id: bid._id }, { supersededBy: revised._id });
+  return { bid: revised, auction: updated };
+};
+
+module.exports = {
+  acceptBid,
+  acceptLotBid,
+  acceptPennyBid,
+  acceptSealedBid,
+  raiseBid,
+  reviseSealedBid,
+  rejectBid,
+  saveAcceptedBid
+};
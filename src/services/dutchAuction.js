@@ -0,0 +1,41 @@
+const Auction = require('../models/Auction');
+const { getDutchPrice, getNextDutchDrop } = require('../utils/dutchPrice');
+const { emitToAuction } = require('../socket');
+
+// Push the current asking price of every running Dutch auction. The price
+// is stored in currentBid with a compare-and-set, so when several server
+// processes tick at once only one of them broadcasts each drop.
+const tickDutchAuctions = async (io) => {
+  const now = new Date();
+
+  const auctions = await Auction.find({
+    status: 'active',
+    auctionType: 'dutch',
+    endTime: { $gt: now }
+  }).select('auctionType dutch startTime endTime currentBid');
+
+  for (const auction of auctions) {
+    const price = getDutchPrice(auction, now);
+    if (price === auction.currentBid) continue;
+
+    const updated = await Auction.findOneAndUpdate(
+      { _id: auction._id, status: 'active', currentBid: auction.currentBid },
+      { currentBid: price },
+      { new: true }
+    );
+
+    if (!updated) continue;
+
+    await emitToAuction(io, auction._id, 'priceTick', {
+      auctionId: auction._id,
+      price,
+      floorPrice: auction.dutch.floorPrice,
+      nextDropAt: getNextDutchDrop(auction, now),
+      serverTime: now
+    });
+  }
+};
+
+module.exports = {
+  tickDutchAuctions
+};
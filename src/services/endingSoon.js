@@ -0,0 +1,134 @@
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const Wishlist = require('../models/Wishlist');
+const { createNotification } = require('./notifications');
+const { emitToAuction } = require('../socket');
+const {
+  TIME_SYNC_INTERVAL_SECONDS,
+  loadEndingSoonThresholds
+} = require('../config/endingSoon');
+
+// Maximum number of auctions announced in a single scheduler pass
+const ANNOUNCE_BATCH_SIZE = 50;
+
+let lastTimeSyncAt = 0;
+
+// Describe a threshold for people, e.g. "1 hour" or "10 minutes"
+const formatThreshold = (seconds) => {
+  if (seconds % 3600 === 0) {
+    const hours = seconds / 3600;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  if (seconds % 60 === 0) {
+    const minutes = seconds / 60;
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  return `${seconds} seconds`;
+};
+
+// Notify the auction's bidders and the wishlisters who opted in
+const notifyEndingSoon = async (auction, threshold) => {
+  const bidderIds = await Bid.distinct('bidder', { auction: auction._id }).standing();
+  const wishlisters = await Wishlist.distinct('user', {
+    auction: auction._id,
+    notificationEnabled: true
+  });
+
+  const recipients = new Map();
+  [...bidderIds, ...wishlisters].forEach(userId => {
+    recipients.set(userId.toString(), userId);
+  });
+
+  for (const userId of recipients.values()) {
+    await createNotification({
+      user: userId,
+      type: 'auction_ending_soon',
+      title: 'Auction ending soon',
+      message: `"${auction.title}" ends in less than ${formatThreshold(threshold)}`,
+      auction: auction._id,
+      data: { threshold, endTime: auction.endTime }
+    });
+  }
+};
+
+// Announce every auction that has crossed an ending-soon threshold. Each
+// threshold is claimed with an atomic update, so it is announced once even
+// with several server processes. An auction that crossed several at once
+// (e.g. after downtime) is only announced for the smallest.
+const announceEndingSoon = async (io) => {
+  const thresholds = loadEndingSoonThresholds();
+  const now = new Date();
+
+  const auctions = await Auction.find({
+    status: 'active',
+    endTime: { $gt: now, $lte: new Date(now.getTime() + thresholds[0] * 1000) }
+  })
+    .select('title endTime endingSoonNotified')
+    .sort({ endTime: 1 })
+    .limit(ANNOUNCE_BATCH_SIZE);
+
+  let announced = 0;
+
+  for (const auction of auctions) {
+    const timeLeft = Math.round((auction.endTime - now) / 1000);
+    const due = thresholds.filter(threshold =>
+      timeLeft <= threshold && !(auction.endingSoonNotified || []).includes(threshold)
+    );
+    if (!due.length) continue;
+
+    const claimed = await Auction.findOneAndUpdate(
+      // A soft-close extension in the meantime changes what is due
+      { _id: auction._id, status: 'active', endTime: auction.endTime, endingSoonNotified: { $nin: due } },
+      { $addToSet: { endingSoonNotified: { $each: due } } }
+    );
+    if (!claimed) continue;
+
+    const threshold = due[due.length - 1];
+    announced += 1;
+
+    try {
+      await emitToAuction(io, auction._id, 'auctionEnding', {
+        auctionId: auction._id,
+        threshold,
+        timeLeft,
+        endTime: auction.endTime,
+        serverTime: now
+      });
+
+      await notifyEndingSoon(auction, threshold);
+    } catch (error) {
+      console.error(`Failed to announce end of auction ${auction._id}:`, error);
+    }
+  }
+
+  return announced;
+};
+
+// Push the server clock to rooms of auctions inside the largest threshold,
+// at most every TIME_SYNC_INTERVAL_SECONDS. Time syncs are not replayed.
+const broadcastTimeSync = async (io) => {
+  const now = new Date();
+  if (now - lastTimeSyncAt < TIME_SYNC_INTERVAL_SECONDS * 1000) {
+    return;
+  }
+  lastTimeSyncAt = now.getTime();
+
+  const thresholds = loadEndingSoonThresholds();
+  const auctions = await Auction.find({
+    status: 'active',
+    endTime: { $gt: now, $lte: new Date(now.getTime() + thresholds[0] * 1000) }
+  }).select('endTime');
+
+  for (const auction of auctions) {
+    await emitToAuction(io, auction._id, 'timeSync', {
+      auctionId: auction._id,
+      endTime: auction.endTime,
+      serverTime: now
+    }, { replay: false });
+  }
+};
+
+module.exports = {
+  announceEndingSoon,
+  broadcastTimeSync
+};
@@ -0,0 +1,36 @@
+const Notification = require('../models/Notification');
+const { emitToUser } = require('../socket');
+
+// Count a user's unread notifications
+const getUnreadCount = (userId) => {
+  return Notification.countDocuments({ user: userId, isRead: false });
+};
+
+// Push a user's unread count to their open sockets, e.g. after they read
+// or delete notifications
+const pushUnreadCount = async (userId) => {
+  const unreadCount = await getUnreadCount(userId);
+  emitToUser(userId, 'unreadCount', { unreadCount });
+  return unreadCount;
+};
+
+// Store a notification and deliver it live to the user's private room along
+// with their new unread count. All notifications are created through here.
+const createNotification = async (fields) => {
+  const notification = await Notification.create(fields);
+
+  // Live delivery is best effort; the notification is already stored
+  try {
+    const unreadCount = await getUnreadCount(notification.user);
+    emitToUser(notification.user, 'notification', { notification, unreadCount });
+  } catch (error) {
+    console.error(`Failed to push notification ${notification._id}:`, error);
+  }
+
+  return notification;
+};
+
+module.exports = {
+  createNotification,
+  pushUnreadCount
+};
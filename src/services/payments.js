@@ -0,0 +1,433 @@
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const Auction = require('../models/Auction');
+const WebhookEvent = require('../models/WebhookEvent');
+const ActivityLog = require('../models/ActivityLog');
+const { createNotification } = require('./notifications');
+const { creditBidPack } = require('./bidCredits');
+const { toPaise, buildPaymentBreakdown } = require('../utils/paymentBreakdown');
+
+// Payments change state only here, whether the client reports the checkout
+// result (verifyPayment) or Razorpay does (the webhook). Every transition is
+// a compare-and-set on the payment's status, so whichever arrives second
+// finds nothing left to do.
+
+// How long a process may hold a completed payment while applying its
+// effects before another may take over
+const SETTLEMENT_LEASE_MS = 60 * 1000;
+
+// How long a webhook event may sit in `processing` before a redelivery is
+// allowed to take it over (e.g. after a crash mid-processing)
+const WEBHOOK_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Work out what the buyer owes for an auction: their winning price (their
+// units' price on a lot) plus premium, shipping and tax. Reverse auctions
+// carry no shipping, since sellers quote a delivered price, and buyers who
+// collect the item themselves, where the seller allows it, skip shipping.
+const getAuctionPaymentBreakdown = (auction, winnerEntry, { pickup = false } = {}) => {
+  const itemAmount = winnerEntry ? winnerEntry.amount : auction.finalPrice;
+  const pickupOnly = auction.deliveryOptions === 'Pickup';
+  const pickupChosen = pickup && auction.deliveryOptions === 'Both';
+  const shipped = !auction.isReverse && !pickupOnly && !pickupChosen;
+
+  return buildPaymentBreakdown({
+    itemAmount,
+    shipping: shipped ? auction.shippingCost || 0 : 0
+  });
+};
+
+// Check the X-Razorpay-Signature header: an HMAC-SHA256 of the raw request
+// body keyed with the webhook secret
+const isValidWebhookSignature = (rawBody, signature) => {
+  if (!signature || !process.env.RAZORPAY_WEBHOOK_SECRET) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+// Mark the auction (or the payer's units of a lot) as paid and tell the
+// seller
+const settleAuctionPayment = async (payment) => {
+  // A lot is paid once every winner has paid for their units
+  const auction = payment.auction;
+  if (auction.isLot) {
+    const updated = await Auction.findOneAndUpdate(
+      { _id: auction._id, 'winners.user': payment.user },
+      { $set: { 'winners.$.paymentStatus': 'paid' } },
+      { new: true }
+    );
+    if (updated && updated.winners.every(entry => entry.paymentStatus === 'paid')) {
+      await Auction.findByIdAndUpdate(auction._id, { paymentStatus: 'paid' });
+    }
+  } else {
+    // A buyer replaced through a second-chance offer no longer owes it
+    await Auction.findOneAndUpdate(
+      auction.isReverse
+        ? { _id: auction._id, seller: payment.user }
+        : { _id: auction._id, winner: payment.user },
+      { paymentStatus: 'paid' }
+    );
+  }
+
+  await createNotification({
+    user: auction.getSellerId(),
+    type: 'payment_successful',
+    title: 'Payment Received',
+    message: `Payment of ₹${payment.amount} received for auction: ${auction.title}`,
+    auction: auction._id
+  });
+
+  await ActivityLog.logActivity({
+    user: payment.user,
+    action: 'payment_completed',
+    description: `Payment completed for auction: ${auction.title}`,
+    metadata: { auctionId: auction._id, amount: payment.amount, paymentId: payment.paymentId },
+    auction: auction._id,
+    payment: payment._id
+  });
+};
+
+// Move the auction (or the payer's units of a lot) off `paid` once their
+// payment has been refunded in full. A lot stops counting as paid as soon as
+// one winner is refunded.
+const reverseAuctionPayment = async (payment) => {
+  const auction = payment.auction;
+  if (auction.isLot) {
+    await Auction.updateOne(
+      { _id: auction._id, winners: { $elemMatch: { user: payment.user, paymentStatus: 'paid' } } },
+      { $set: { 'winners.$.paymentStatus': 'refunded' } }
+    );
+    await Auction.updateOne({ _id: auction._id, paymentStatus: 'paid' }, { paymentStatus: 'refunded' });
+    return;
+  }
+
+  await Auction.updateOne(
+    auction.isReverse
+      ? { _id: auction._id, seller: payment.user, paymentStatus: 'paid' }
+      : { _id: auction._id, winner: payment.user, paymentStatus: 'paid' },
+    { paymentStatus: 'refunded' }
+  );
+};
+
+// Hold a payment whose captured amount does not match the amount due for
+// review rather than settling the auction on it
+const flagPaymentMismatch = async (payment, currency) => {
+  await ActivityLog.logActivity({
+    user: payment.user,
+    action: 'payment_flagged',
+    description: `Captured ₹${payment.capturedAmount} ${currency} against ₹${payment.amount} due`,
+    metadata: {
+      orderId: payment.orderId,
+      paymentId: payment.paymentId,
+      expected: payment.amount,
+      captured: payment.capturedAmount,
+      currency
+    },
+    auction: payment.auction && payment.auction._id,
+    payment: payment._id
+  });
+};
+
+// Apply a completed payment's effects: settle the auction, or credit the
+// bid pack. The payment is claimed with a lease first and marked settled
+// only once everything succeeded, so a failure is retried by the next
+// verification or webhook delivery. Resolves to null if the payment is
+// already settled or another process is settling it.
+const settleCompletedPayment = async (paymentId) => {
+  const now = new Date();
+  const payment = await Payment.findOneAndUpdate(
+    {
+      _id: paymentId,
+      status: 'completed',
+      settledAt: null,
+      $or: [
+        { settlementLockedUntil: null },
+        { settlementLockedUntil: { $lte: now } }
+      ]
+    },
+    { settlementLockedUntil: new Date(now.getTime() + SETTLEMENT_LEASE_MS) },
+    { new: true }
+  ).populate('auction');
+
+  if (!payment) {
+    return null;
+  }
+
+  try {
+    let bidCredits;
+    if (payment.bidPackId) {
+      const entry = await creditBidPack(payment);
+      bidCredits = entry.balanceAfter;
+
+      await ActivityLog.logActivity({
+        user: payment.user,
+        action: 'payment_completed',
+        description: `Bought ${payment.bidCredits} bid credits`,
+        metadata: { bidPackId: payment.bidPackId, amount: payment.amount, paymentId: payment.paymentId },
+        payment: payment._id
+      });
+    } else {
+      await settleAuctionPayment(payment);
+    }
+
+    await Payment.updateOne(
+      { _id: payment._id },
+      { settledAt: new Date(), $unset: { settlementLockedUntil: 1 } }
+    );
+    return { payment, bidCredits };
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $unset: { settlementLockedUntil: 1 } });
+    throw error;
+  }
+};
+
+// Complete a captured payment and apply its effects once: settle the
+// auction, or credit the bid pack. The captured amount (in rupees) is
+// checked against the amount frozen on the payment; a mismatch flags the
+// payment instead. A payment whose earlier attempt failed can still
+// complete, since Razorpay lets the buyer retry the same order. Resolves to
+// null if there is no such payment.
+const completePayment = async ({ orderId, paymentId, capturedAmount, currency = 'INR' }) => {
+  const open = await Payment.findOne({ orderId, status: { $in: ['pending', 'failed'] } });
+
+  const payment = open && await Payment.findOneAndUpdate(
+    { _id: open._id, status: { $in: ['pending', 'failed'] } },
+    {
+      status: toPaise(capturedAmount) === toPaise(open.amount) && currency === open.currency
+        ? 'completed'
+        : 'flagged',
+      paymentId,
+      transactionId: paymentId,
+      capturedAmount,
+      $unset: { failureReason: 1 }
+    },
+    { new: true }
+  ).populate('auction');
+
+  if (!payment) {
+    const handled = await Payment.findOne({ orderId, status: { $in: ['completed', 'refunded', 'flagged'] } });
+    if (!handled) {
+      return null;
+    }
+
+    // Finish a completion whose effects failed part way
+    const settled = handled.status === 'completed' && !handled.settledAt
+      ? await settleCompletedPayment(handled._id)
+      : null;
+    return settled
+      ? { ...settled, alreadyCompleted: false, flagged: false }
+      : { payment: handled, alreadyCompleted: true, flagged: handled.status === 'flagged' };
+  }
+
+  if (payment.status === 'flagged') {
+    await flagPaymentMismatch(payment, currency);
+    return { payment, alreadyCompleted: false, flagged: true };
+  }
+
+  const settled = await settleCompletedPayment(payment._id);
+  return settled
+    ? { ...settled, alreadyCompleted: false, flagged: false }
+    : { payment, alreadyCompleted: true, flagged: false };
+};
+
+// Mark a pending payment as failed. Pass userId to only touch the user's
+// own payment. Resolves to the payment, or null if it was not pending.
+const failPayment = async ({ orderId, userId, reason }) => {
+  const filter = { orderId, status: 'pending' };
+  if (userId) {
+    filter.user = userId;
+  }
+
+  const payment = await Payment.findOneAndUpdate(
+    filter,
+    { status: 'failed', failureReason: reason },
+    { new: true }
+  ).populate('auction', 'title');
+
+  if (!payment) {
+    return null;
+  }
+
+  await ActivityLog.logActivity({
+    user: payment.user,
+    action: 'payment_failed',
+    description: payment.auction
+      ? `Payment failed for auction: ${payment.auction.title}`
+      : `Payment failed for ${payment.description}`,
+    metadata: { orderId, reason },
+    auction: payment.auction && payment.auction._id,
+    payment: payment._id
+  });
+
+  await createNotification({
+    user: payment.user,
+    type: 'payment_failed',
+    title: 'Payment failed',
+    message: payment.auction
+      ? `Your payment for "${payment.auction.title}" did not go through. You can try again.`
+      : `Your payment for ${payment.description} did not go through. You can try again.`,
+    auction: payment.auction && payment.auction._id,
+    data: { paymentId: payment._id, reason }
+  });
+
+  return payment;
+};
+
+// Record a processed refund against a completed or flagged payment; the
+// payment is refunded once refunds cover what was captured, and the auction
+// follows it. Bid credits bought with a refunded pack are not taken back.
+const refundPayment = async ({ paymentId, refundId, amount }) => {
+  const payment = await Payment.findOneAndUpdate(
+    { paymentId, status: { $in: ['completed', 'flagged'] }, 'refunds.refundId': { $ne: refundId } },
+    {
+      $push: { refunds: { refundId, amount, processedAt: new Date() } },
+      $inc: { refundedAmount: amount }
+    },
+    { new: true }
+  ).populate('auction');
+
+  if (!payment) {
+    // A redelivered refund finishes moving the auction off paid in case
+    // the first delivery failed part way
+    const recorded = await Payment.findOne({ paymentId, status: 'refunded', 'refunds.refundId': refundId })
+      .populate('auction');
+    if (recorded && recorded.auction) {
+      await reverseAuctionPayment(recorded);
+    }
+    return null;
+  }
+
+  if (toPaise(payment.refundedAmount) >= toPaise(payment.capturedAmount || payment.amount)) {
+    await Payment.updateOne({ _id: payment._id, status: payment.status }, { status: 'refunded' });
+    payment.status = 'refunded';
+
+    if (payment.auction) {
+      await reverseAuctionPayment(payment);
+    }
+  }
+
+  await ActivityLog.logActivity({
+    user: payment.user,
+    action: 'payment_refunded',
+    description: payment.auction
+      ? `Refund of ₹${amount} for auction: ${payment.auction.title}`
+      : `Refund of ₹${amount} for ${payment.description}`,
+    metadata: { paymentId, refundId, amount, refundedAmount: payment.refundedAmount },
+    auction: payment.auction && payment.auction._id,
+    payment: payment._id
+  });
+
+  await createNotification({
+    user: payment.user,
+    type: 'payment_refunded',
+    title: 'Refund processed',
+    message: payment.auction
+      ? `₹${amount} has been refunded for "${payment.auction.title}"`
+      : `₹${amount} has been refunded for ${payment.description}`,
+    auction: payment.auction && payment.auction._id,
+    data: { paymentId: payment._id, refundId, amount }
+  });
+
+  return payment;
+};
+
+// Apply a webhook event. Resolves to whether it changed anything.
+const applyWebhookEvent = async ({ event, payload }) => {
+  switch (event) {
+    case 'payment.captured': {
+      const entity = payload.payment.entity;
+      const result = await completePayment({
+        orderId: entity.order_id,
+        paymentId: entity.id,
+        capturedAmount: entity.amount / 100, // amount in paisa
+        currency: entity.currency
+      });
+      return !!result && !result.alreadyCompleted;
+    }
+    case 'payment.failed': {
+      const entity = payload.payment.entity;
+      const payment = await failPayment({
+        orderId: entity.order_id,
+        reason: entity.error_description || 'Payment failed'
+      });
+      return !!payment;
+    }
+    case 'refund.processed': {
+      const entity = payload.refund.entity;
+      const payment = await refundPayment({
+        paymentId: entity.payment_id,
+        refundId: entity.id,
+        amount: entity.amount / 100 // amount in paisa
+      });
+      return !!payment;
+    }
+    default:
+      return false;
+  }
+};
+
+// Claim a webhook delivery for processing. Resolves to the event record, or
+// null if the event was already handled or another process is handling it.
+const claimWebhookEvent = async (eventId, body) => {
+  try {
+    return await WebhookEvent.create({ eventId, event: body.event, payload: body.payload });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Seen before: only take it over if the earlier attempt failed or stalled
+  return WebhookEvent.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lte: new Date(Date.now() - WEBHOOK_PROCESSING_TIMEOUT_MS) } }
+      ]
+    },
+    { status: 'processing', $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// Process a verified webhook delivery at most once per event id. Errors are
+// recorded and rethrown so the gateway retries the delivery.
+const processWebhookEvent = async (eventId, body) => {
+  const record = await claimWebhookEvent(eventId, body);
+  if (!record) {
+    return { duplicate: true };
+  }
+
+  try {
+    const applied = await applyWebhookEvent(body);
+    record.status = applied ? 'processed' : 'ignored';
+    record.processedAt = new Date();
+    record.error = undefined;
+    await record.save();
+    return { duplicate: false, status: record.status };
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+module.exports = {
+  getAuctionPaymentBreakdown,
+  isValidWebhookSignature,
+  completePayment,
+  failPayment,
+  refundPayment,
+  processWebhookEvent
+};
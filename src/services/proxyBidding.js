@@ -0,0 +1,184 @@
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const MaxBid = require('../models/MaxBid');
+const { createNotification } = require('./notifications');
+const { getBidIncrement } = require('../utils/bidIncrement');
+const { announceSoftClose } = require('./softClose');
+const { acceptBid } = require('./bidding');
+const { emitToAuction } = require('../socket');
+
+// Safety limit on automatic bids placed in one resolution pass
+const MAX_RESOLUTION_STEPS = 20;
+
+const isSameUser = (a, b) => a.toString() === b.toString();
+
+// Get the current leading bid for an auction (earliest bid wins ties)
+const findLeadingBid = (auctionId) => {
+  return Bid.findOne({ auction: auctionId }).standing().sort({ amount: -1, createdAt: 1 });
+};
+
+// Get the amount the next bid must reach to take the lead
+const getRequiredBid = (auction, leadingBid) => {
+  return leadingBid
+    ? leadingBid.amount + getBidIncrement(auction, leadingBid.amount)
+    : auction.minAuctionAmount;
+};
+
+// Build the list of bidders able to compete, strongest first. A bidder's
+// ceiling is their proxy maximum, or their standing bid if that is higher.
+// Ties go to whoever set their ceiling first.
+const rankContenders = (maxBids, leadingBid) => {
+  const contenders = maxBids.map(maxBid => ({
+    bidder: maxBid.bidder,
+    ceiling: maxBid.maxAmount,
+    placedAt: maxBid.placedAt
+  }));
+
+  if (leadingBid) {
+    const leader = contenders.find(c => isSameUser(c.bidder, leadingBid.bidder));
+    if (!leader) {
+      contenders.push({
+        bidder: leadingBid.bidder,
+        ceiling: leadingBid.amount,
+        placedAt: leadingBid.createdAt
+      });
+    } else if (leadingBid.amount > leader.ceiling) {
+      leader.ceiling = leadingBid.amount;
+    }
+  }
+
+  return contenders.sort((a, b) => b.ceiling - a.ceiling || a.placedAt - b.placedAt);
+};
+
+// Work out the next automatic bid, if any: the strongest contender bids
+// the minimum needed to beat the runner-up, capped at their ceiling
+const getNextProxyBid = (auction, leadingBid, maxBids) => {
+  const contenders = rankContenders(maxBids, leadingBid);
+  const [top, runnerUp] = contenders;
+
+  if (!top) return null;
+
+  const required = getRequiredBid(auction, leadingBid);
+
+  if (leadingBid && isSameUser(top.bidder, leadingBid.bidder)) {
+    // The leader only raises while the runner-up could still outbid them,
+    // and then by at least a full increment, up to one increment above
+    // the runner-up
+    if (!runnerUp || runnerUp.ceiling < required) return null;
+
+    const amount = Math.min(
+      top.ceiling,
+      Math.max(required, runnerUp.ceiling + getBidIncrement(auction, runnerUp.ceiling))
+    );
+    return amount >= required ? { bidder: top.bidder, amount } : null;
+  }
+
+  if (top.ceiling < required) return null;
+
+  const floor = runnerUp
+    ? Math.max(required, runnerUp.ceiling + getBidIncrement(auction, runnerUp.ceiling))
+    : required;
+
+  return { bidder: top.bidder, amount: Math.min(top.ceiling, floor) };
+};
+
+// Place one automatic bid and announce it. Returns the bid, null once the
+// auction has settled into a stable leader or the bid was rejected, or
+// undefined if another bid got in first and the next bid has to be
+// recomputed.
+const placeNextProxyBid = async (auctionId, io) => {
+  const auction = await Auction.findById(auctionId);
+  if (!auction || auction.status !== 'active' || new Date() > new Date(auction.endTime)) {
+    return null;
+  }
+
+  const maxBids = await MaxBid.find({ auction: auctionId });
+  if (maxBids.length === 0) return null;
+
+  const leadingBid = await findLeadingBid(auctionId);
+  const next = getNextProxyBid(auction, leadingBid, maxBids);
+  if (!next) return null;
+
+  // No retries: if another bid lands first the next pass recomputes
+  let accepted;
+  try {
+    accepted = await acceptBid({
+      auctionId,
+      bidderId: next.bidder,
+      amount: next.amount,
+      isAutomatic: true,
+      maxAttempts: 1
+    });
+  } catch (error) {
+    // Only a lost race is worth recomputing; any other rejection would
+    // just be repeated
+    if (error.statusCode === 409) return undefined;
+    if (error.statusCode) return null;
+    throw error;
+  }
+
+  const bid = accepted.bid;
+  await bid.populate('bidder', 'name avatar');
+  auction.currentBid = accepted.auction.currentBid;
+
+  // Notify the bidder who just lost the lead
+  if (leadingBid && !isSameUser(leadingBid.bidder, next.bidder)) {
+    await createNotification({
+      user: leadingBid.bidder,
+      type: 'outbid',
+      title: 'You have been outbid',
+      message: `Someone placed a higher bid on "${auction.title}"`,
+      auction: auctionId,
+      bid: bid._id
+    });
+  }
+
+  await emitToAuction(io, auctionId, 'newBid', {
+    bid: {
+      _id: bid._id,
+      amount: bid.amount,
+      bidder: {
+        _id: bid.bidder._id,
+        name: bid.bidder.name,
+        avatar: bid.bidder.avatar
+      },
+      timestamp: bid.timestamp,
+      isAutomatic: true
+    },
+    currentBid: auction.currentBid,
+    nextMinimumBid: auction.nextMinimumBid,
+    buyNowAvailable: auction.buyNowAvailable,
+    bidderCount: await Bid.countDocuments({ auction: auctionId }).standing()
+  });
+
+  if (accepted.extension) {
+    await announceSoftClose(io, auctionId, accepted.extension, bid._id);
+  }
+
+  return bid;
+};
+
+// Keep placing automatic bids until no proxy ceiling can change the leader
+const resolveProxyBids = async (auctionId, io) => {
+  for (let step = 0; step < MAX_RESOLUTION_STEPS; step++) {
+    const bid = await placeNextProxyBid(auctionId, io);
+    if (bid === null) return;
+  }
+};
+
+// Create or raise a bidder's proxy ceiling. Raising keeps the time the
+// bidder first set a ceiling, so they keep their priority on ties.
+const setMaxBid = (auctionId, bidderId, maxAmount) => {
+  return MaxBid.findOneAndUpdate(
+    { auction: auctionId, bidder: bidderId },
+    { maxAmount, $setOnInsert: { placedAt: new Date() } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = {
+  findLeadingBid,
+  getRequiredBid,
+  resolveProxyBids,
+  setMaxBid
+};
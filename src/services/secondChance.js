@@ -0,0 +1,258 @@
+const Auction = require('../models/Auction');
+const Bid = require('../models/Bid');
+const User = require('../models/User');
+const { createNotification } = require('./notifications');
+const ActivityLog = require('../models/ActivityLog');
+const SecondChanceOffer = require('../models/SecondChanceOffer');
+const { rejectBid } = require('./bidding');
+const { flagWinningBid, requestPayment } = require('./auctionLifecycle');
+const { isReverseAuction } = require('../config/auctionTypes');
+const {
+  SECOND_CHANCE_OFFER_HOURS,
+  getPaymentDueAt
+} = require('../config/paymentDeadlines');
+
+// Maximum number of auctions or offers handled in a single scheduler pass
+const BATCH_SIZE = 50;
+
+// Flag a buyer who missed the payment deadline and let both sides know
+const flagNonPayment = async (auction, userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { nonPaymentCount: 1 } });
+
+  await ActivityLog.logActivity({
+    user: userId,
+    action: 'payment_overdue',
+    description: `Missed payment deadline for auction: ${auction.title}`,
+    metadata: { auctionId: auction._id, paymentDueAt: auction.paymentDueAt },
+    auction: auction._id
+  });
+
+  await createNotification({
+    user: userId,
+    type: 'payment_overdue',
+    title: 'Payment overdue',
+    message: `You did not pay for "${auction.title}" by the deadline. The seller may now offer it to another bidder.`,
+    auction: auction._id
+  });
+};
+
+// Mark sold auctions whose payment deadline has passed as overdue and flag
+// the buyers. On lots each winner who has not paid is flagged separately.
+const markOverduePayments = async () => {
+  let marked = 0;
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const now = new Date();
+    const auction = await Auction.findOneAndUpdate(
+      {
+        status: 'completed',
+        paymentStatus: 'pending',
+        paymentDueAt: { $lte: now }
+      },
+      { paymentStatus: 'overdue' },
+      { new: true }
+    );
+    if (!auction) break;
+
+    marked += 1;
+    try {
+      const defaulters = [];
+      if (auction.isLot) {
+        for (const entry of auction.winners.filter(w => w.paymentStatus === 'pending')) {
+          const updated = await Auction.updateOne(
+            { _id: auction._id, winners: { $elemMatch: { _id: entry._id, paymentStatus: 'pending' } } },
+            { $set: { 'winners.$.paymentStatus': 'overdue' } }
+          );
+          if (updated.modifiedCount) {
+            defaulters.push(entry.user);
+          }
+        }
+      } else {
+        defaulters.push(auction.getBuyerId());
+      }
+
+      for (const userId of defaulters) {
+        await flagNonPayment(auction, userId);
+      }
+
+      await createNotification({
+        user: auction.getSellerId(),
+        type: 'payment_overdue',
+        title: 'Payment overdue',
+        message: auction.isLot || isReverseAuction(auction)
+          ? `Payment for "${auction.title}" was not completed by the deadline.`
+          : `The winner of "${auction.title}" did not pay by the deadline. You can make a second-chance offer to the next-highest bidder.`,
+        auction: auction._id
+      });
+    } catch (error) {
+      console.error(`Failed to flag overdue payment on auction ${auction._id}:`, error);
+    }
+  }
+
+  return marked;
+};
+
+// Find the best standing bid from a bidder who has not yet won or been
+// offered this auction
+const findNextBid = async (auction) => {
+  const offered = await SecondChanceOffer.distinct('bidder', { auction: auction._id });
+  const previousWinners = await SecondChanceOffer.distinct('previousWinner', { auction: auction._id });
+  const excluded = [auction.winner, ...offered, ...previousWinners].filter(Boolean);
+
+  return Bid.findOne({ auction: auction._id, bidder: { $nin: excluded } })
+    .standing()
+    .sort({ amount: -1, createdAt: 1 });
+};
+
+// Offer an overdue auction to the next-highest bidder at their own bid
+const createSecondChanceOffer = async (auction) => {
+  if (auction.status !== 'completed' || auction.paymentStatus !== 'overdue') {
+    throw rejectBid('Second-chance offers can only be made once the winner has missed the payment deadline');
+  }
+
+  if (auction.isLot || isReverseAuction(auction)) {
+    throw rejectBid(`Second-chance offers are not available on ${auction.isLot ? 'multi-quantity lots' : 'reverse auctions'}`);
+  }
+
+  const bid = await findNextBid(auction);
+  if (!bid) {
+    throw rejectBid('There are no other bidders to make an offer to', {}, 404);
+  }
+
+  let offer;
+  try {
+    offer = await SecondChanceOffer.create({
+      auction: auction._id,
+      seller: auction.seller,
+      bidder: bid.bidder,
+      bid: bid._id,
+      amount: bid.amount,
+      previousWinner: auction.winner,
+      expiresAt: new Date(Date.now() + SECOND_CHANCE_OFFER_HOURS * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw rejectBid('A second-chance offer is already pending on this auction', {}, 409);
+    }
+    throw error;
+  }
+
+  await createNotification({
+    user: bid.bidder,
+    type: 'second_chance_offer',
+    title: 'Second-chance offer',
+    message: `The seller of "${auction.title}" is offering it to you at your bid of ₹${offer.amount}. The offer expires on ${offer.expiresAt.toUTCString()}.`,
+    auction: auction._id,
+    bid: bid._id,
+    data: { offerId: offer._id, amount: offer.amount, expiresAt: offer.expiresAt }
+  });
+
+  return offer;
+};
+
+// Accept an offer: the bidder becomes the winner at their own bid and gets
+// a fresh payment deadline
+const acceptSecondChanceOffer = async (offerId, userId) => {
+  const now = new Date();
+  const offer = await SecondChanceOffer.findOneAndUpdate(
+    { _id: offerId, bidder: userId, status: 'pending', expiresAt: { $gt: now } },
+    { status: 'accepted', respondedAt: now },
+    { new: true }
+  );
+
+  if (!offer) {
+    throw rejectBid('This offer is no longer available');
+  }
+
+  // The original winner may still have paid in the meantime
+  const auction = await Auction.findOneAndUpdate(
+    { _id: offer.auction, paymentStatus: 'overdue', winner: offer.previousWinner },
+    {
+      winner: offer.bidder,
+      winningBid: offer.bid,
+      finalPrice: offer.amount,
+      paymentStatus: 'pending',
+      paymentDueAt: getPaymentDueAt(now)
+    },
+    { new: true }
+  );
+
+  if (!auction) {
+    await SecondChanceOffer.updateOne({ _id: offer._id }, { status: 'withdrawn' });
+    throw rejectBid('This offer is no longer available', {}, 409);
+  }
+
+  const bid = await Bid.findById(offer.bid);
+  await flagWinningBid(auction._id, bid);
+  await requestPayment(auction, bid);
+
+  await createNotification({
+    user: auction.seller,
+    type: 'second_chance_accepted',
+    title: 'Second-chance offer accepted',
+    message: `Your second-chance offer on "${auction.title}" was accepted at ₹${offer.amount}`,
+    auction: auction._id,
+    bid: offer.bid,
+    data: { offerId: offer._id }
+  });
+
+  return { offer, auction };
+};
+
+// Decline an offer; the seller may then offer the auction to the next bidder
+const declineSecondChanceOffer = async (offerId, userId) => {
+  const offer = await SecondChanceOffer.findOneAndUpdate(
+    { _id: offerId, bidder: userId, status: 'pending' },
+    { status: 'declined', respondedAt: new Date() },
+    { new: true }
+  ).populate('auction', 'title');
+
+  if (!offer) {
+    throw rejectBid('This offer is no longer available');
+  }
+
+  await createNotification({
+    user: offer.seller,
+    type: 'second_chance_declined',
+    title: 'Second-chance offer declined',
+    message: `Your second-chance offer on "${offer.auction.title}" was declined. You can make an offer to the next bidder.`,
+    auction: offer.auction._id,
+    data: { offerId: offer._id }
+  });
+
+  return offer;
+};
+
+// Expire offers nobody answered in time
+const expireSecondChanceOffers = async () => {
+  let expired = 0;
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const offer = await SecondChanceOffer.findOneAndUpdate(
+      { status: 'pending', expiresAt: { $lte: new Date() } },
+      { status: 'expired' },
+      { new: true }
+    ).populate('auction', 'title');
+    if (!offer) break;
+
+    expired += 1;
+    await createNotification({
+      user: offer.seller,
+      type: 'second_chance_expired',
+      title: 'Second-chance offer expired',
+      message: `Your second-chance offer on "${offer.auction.title}" expired without a response. You can make an offer to the next bidder.`,
+      auction: offer.auction._id,
+      data: { offerId: offer._id }
+    });
+  }
+
+  return expired;
+};
+
+module.exports = {
+  markOverduePayments,
+  createSecondChanceOffer,
+  acceptSecondChanceOffer,
+  declineSecondChanceOffer,
+  expireSecondChanceOffers
+};
@@ -0,0 +1,84 @@
+const { emitToAuction } = require('../socket');
+
+// Work out how far a bid placed at `bidTime` extends an auction's end time
+// when it lands inside the soft-close window. Extensions are capped by
+// softClose.maxExtensionSeconds (measured from the original end time).
+// Returns the extension, or null if the bid earns none.
+const getSoftCloseExtension = (auction, bidTime = new Date()) => {
+  // Sealed bids are not visible, so there is nothing to snipe
+  if (!auction.softClose || auction.isSealed) {
+    return null;
+  }
+
+  const { windowSeconds, extensionSeconds, maxExtensionSeconds } = auction.softClose;
+  if (!windowSeconds || !extensionSeconds) {
+    return null;
+  }
+
+  const previousEndTime = new Date(auction.endTime);
+  const remaining = previousEndTime - bidTime;
+
+  if (remaining <= 0 || remaining > windowSeconds * 1000) {
+    return null;
+  }
+
+  const originalEndTime = auction.originalEndTime || previousEndTime;
+  let newEndTime = new Date(previousEndTime.getTime() + extensionSeconds * 1000);
+
+  if (maxExtensionSeconds) {
+    const latestEndTime = new Date(originalEndTime.getTime() + maxExtensionSeconds * 1000);
+    if (newEndTime > latestEndTime) {
+      newEndTime = latestEndTime;
+    }
+  }
+
+  if (newEndTime <= previousEndTime) {
+    return null;
+  }
+
+  return { previousEndTime, newEndTime, originalEndTime, bidTime };
+};
+
+// Build the parts of a bid's acceptance update that apply its extension
+// and record it in endTimeExtensions. The update must also match the end
+// time the extension was worked out from, so concurrent bids extend once.
+const buildSoftCloseUpdate = (extension, bidId) => {
+  const { previousEndTime, newEndTime, originalEndTime, bidTime } = extension;
+
+  // Ending-soon thresholds the new end time is back outside of are
+  // announced again as it approaches (see services/endingSoon)
+  const timeLeftSeconds = Math.floor((newEndTime - bidTime) / 1000);
+
+  return {
+    $set: { endTime: newEndTime, originalEndTime },
+    $pull: { endingSoonNotified: { $lt: timeLeftSeconds } },
+    $push: {
+      endTimeExtensions: {
+        previousEndTime,
+        newEndTime,
+        bid: bidId,
+        extendedAt: bidTime
+      }
+    }
+  };
+};
+
+// Tell the auction room that a bid extended the auction
+const announceSoftClose = (io, auctionId, extension, bidId) => {
+  const { previousEndTime, newEndTime, originalEndTime } = extension;
+
+  return emitToAuction(io, auctionId, 'auctionExtended', {
+    auctionId,
+    previousEndTime,
+    endTime: newEndTime,
+    originalEndTime,
+    totalExtensionSeconds: Math.round((newEndTime - originalEndTime) / 1000),
+    bidId
+  });
+};
+
+module.exports = {
+  getSoftCloseExtension,
+  buildSoftCloseUpdate,
+  announceSoftClose
+};
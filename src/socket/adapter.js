@@ -0,0 +1,40 @@
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createMemoryPresenceStore, createRedisPresenceStore } = require('./presence');
+
+// Build a Redis client from REDIS_HOST, REDIS_PORT and REDIS_PASSWORD
+const createRedisClient = () => {
+  return createClient({
+    socket: {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: parseInt(process.env.REDIS_PORT, 10) || 6379
+    },
+    password: process.env.REDIS_PASSWORD || undefined
+  });
+};
+
+// Pick the Socket.io adapter and presence store. With SOCKET_ADAPTER=redis,
+// broadcasts go through Redis pub/sub so every server process reaches its
+// own clients, and room sizes are shared. Otherwise everything stays in
+// this process, which is only correct for a single server.
+const configureSocketAdapter = async (io) => {
+  if (process.env.SOCKET_ADAPTER !== 'redis') {
+    return createMemoryPresenceStore();
+  }
+
+  const pubClient = createRedisClient();
+  const subClient = pubClient.duplicate();
+  [pubClient, subClient].forEach(client => {
+    client.on('error', error => console.error('Redis error:', error.message));
+  });
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient));
+  console.log(`Socket.io Redis adapter connected: ${process.env.REDIS_HOST || 'localhost'}`);
+
+  return createRedisPresenceStore(pubClient);
+};
+
+module.exports = {
+  configureSocketAdapter
+};
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Auction = require('../models/Auction');
+const { getUserFromToken } = require('../middleware/auth');
+const { createMemoryPresenceStore } = require('./presence');
+const { recordAuctionEvent, getRoomCatchUp } = require('../services/auctionEvents');
+
+// The server's Socket.io instance, set by initSocket, for code that is not
+// handed `io` explicitly
+let activeIo = null;
+
+// The presence store in use, set by initSocket
+let activePresence = createMemoryPresenceStore();
+
+// Name of a user's private room; every socket a user opens joins it
+const getUserRoom = (userId) => `user:${userId}`;
+
+// Read the JWT from the handshake: `auth: { token }` from socket.io
+// clients, or a Bearer Authorization header
+const getHandshakeToken = (socket) => {
+  const { auth, headers } = socket.handshake;
+  if (auth && auth.token) {
+    return auth.token;
+  }
+  if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+    return headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Authenticate the handshake with the same JWT that `protect` accepts and
+// attach the user to the socket
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket);
+  if (!token) {
+    return next(new Error('Not authorized, no token'));
+  }
+
+  try {
+    const user = await getUserFromToken(token);
+    if (!user) {
+      return next(new Error('User not found'));
+    }
+    if (!user.isActive) {
+      return next(new Error('Account is deactivated'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Not authorized, token failed'));
+  }
+};
+
+// Broadcast a server event to everyone watching an auction. Auction state
+// events (`newBid`, `auctionEnded` and the like) only ever come from server
+// code through here; clients can join and leave rooms but not emit to them.
+// Each event is numbered with `seq` and logged so reconnecting clients can
+// replay what they missed, unless `replay: false` marks it as transient.
+const emitToAuction = async (io, auctionId, event, payload, { replay = true } = {}) => {
+  if (!replay) {
+    if (io) io.to(auctionId.toString()).emit(event, payload);
+    return;
+  }
+
+  let seq = null;
+  try {
+    seq = await recordAuctionEvent(auctionId, event, payload);
+  } catch (error) {
+    // Still broadcast; clients that miss it will fall back to a snapshot
+    console.error(`Failed to record ${event} for auction ${auctionId}:`, error);
+  }
+
+  if (!io) return;
+  io.to(auctionId.toString()).emit(event, { ...payload, seq });
+};
+
+// Send an event to every socket a user has open
+const emitToUser = (userId, event, payload) => {
+  if (!activeIo) return;
+  activeIo.to(getUserRoom(userId)).emit(event, payload);
+};
+
+// Ids of the users currently watching an auction
+const getAuctionWatchers = (auctionId) => {
+  return activePresence.members(auctionId.toString());
+};
+
+// Record a new high for concurrent watchers on an auction
+const recordPeakWatchers = async (auctionId, watchers) => {
+  await Auction.updateOne(
+    { _id: auctionId, peakWatchers: { $lt: watchers } },
+    { peakWatchers: watchers, peakWatchersAt: new Date() }
+  );
+};
+
+// Leave an auction room and, when this was the user's last socket in it,
+// tell the others how many are still watching
+const leaveAuctionRoom = async (socket, presence, auctionId) => {
+  socket.leave(auctionId);
+  socket.data.auctions.delete(auctionId);
+
+  const { watchers, wasLastSocket } = await presence.remove(auctionId, socket.user._id.toString(), socket.id);
+  if (wasLastSocket) {
+    socket.to(auctionId).emit('userLeft', { auctionId, activeUsers: watchers });
+  }
+};
+
+// Register the socket middleware and the events clients may send. Watchers
+// are counted per user, not per socket, by the presence store, which is
+// shared between processes when the Redis adapter is configured. Rooms only
+// ever see the count; who is watching is for the seller alone.
+const initSocket = (io, presence = createMemoryPresenceStore()) => {
+  activeIo = io;
+  activePresence = presence;
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    console.log(`User connected: ${socket.id} (${socket.user._id})`);
+    socket.join(getUserRoom(socket.user._id));
+    socket.data.auctions = new Set();
+
+    // Clients send the auction id, or `{ auctionId, lastSeq }` when
+    // rejoining after a dropped connection
+    socket.on('joinAuction', async (data) => {
+      const { auctionId, lastSeq } = typeof data === 'object' && data !== null ? data : { auctionId: data };
+      if (!mongoose.isValidObjectId(auctionId)) return;
+
+      try {
+        // Join before reading state so no event falls between the two;
+        // clients ignore live events with a seq they already have
+        socket.join(auctionId);
+        socket.data.auctions.add(auctionId);
+        console.log(`User ${socket.id} joined auction ${auctionId}`);
+
+        const catchUp = await getRoomCatchUp(auctionId, lastSeq);
+        if (!catchUp) {
+          socket.leave(auctionId);
+          socket.data.auctions.delete(auctionId);
+          socket.emit('auctionJoinFailed', { auctionId, message: 'Auction not found' });
+          return;
+        }
+
+        // The socket disconnected or left while the state was read; its
+        // departure has already been counted, so do not count it in now
+        if (!socket.connected || !socket.data.auctions.has(auctionId)) return;
+
+        // Send the missed events, or the current auction state
+        const { watchers, isNewWatcher } = await presence.add(auctionId, socket.user._id.toString(), socket.id);
+        socket.emit('auctionJoined', {
+          auctionId,
+          activeUsers: watchers,
+          ...catchUp
+        });
+
+        // Another tab from the same user does not change the count
+        if (isNewWatcher) {
+          socket.to(auctionId).emit('userJoined', { auctionId, activeUsers: watchers });
+          await recordPeakWatchers(auctionId, watchers);
+        }
+      } catch (error) {
+        console.error(`Failed to join auction ${auctionId}:`, error);
+      }
+    });
+
+    socket.on('leaveAuction', async (auctionId) => {
+      if (!mongoose.isValidObjectId(auctionId)) return;
+
+      try {
+        await leaveAuctionRoom(socket, presence, auctionId);
+        console.log(`User ${socket.id} left auction ${auctionId}`);
+      } catch (error) {
+        console.error(`Failed to leave auction ${auctionId}:`, error);
+      }
+    });
+
+    // Rooms are dropped on disconnect, so count the socket out of each
+    // auction it was watching
+    socket.on('disconnecting', async () => {
+      try {
+        for (const auctionId of [...socket.data.auctions]) {
+          await leaveAuctionRoom(socket, presence, auctionId);
+        }
+      } catch (error) {
+        console.error(`Failed to clear presence for ${socket.id}:`, error);
+      }
+    });
+
+    // Let clients measure their clock offset: the ack carries server time
+    socket.on('timeSync', (clientTime, ack) => {
+      if (typeof ack !== 'function') return;
+      ack({ clientTime, serverTime: new Date() });
+    });
+
+    socket.on('disconnect', () => {
+      console.log('User disconnected:', socket.id);
+    });
+  });
+};
+
+module.exports = {
+  initSocket,
+  emitToAuction,
+  emitToUser,
+  getAuctionWatchers
+};
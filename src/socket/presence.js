@@ -0,0 +1,164 @@
+// Presence stores track which users are watching each room so watcher
+// counts are correct across every server process and a user with several
+// tabs open counts once. Both stores expose the same async interface:
+//   add(room, userId, socketId)    - resolves to { watchers, isNewWatcher }
+//   remove(room, userId, socketId) - resolves to { watchers, wasLastSocket }
+//   count(room)                    - number of distinct users watching
+//   members(room)                  - ids of the users watching
+
+// How often each process refreshes its sockets' entries in Redis, and how
+// long an entry survives without a refresh (e.g. after a process crash)
+const PRESENCE_REFRESH_MS = 30 * 1000;
+const PRESENCE_TTL_MS = 90 * 1000;
+
+// Single-process store, used when no shared adapter is configured.
+// Rooms map each user id to the set of that user's sockets in the room.
+const createMemoryPresenceStore = () => {
+  const rooms = new Map();
+
+  const count = async (room) => {
+    return rooms.has(room) ? rooms.get(room).size : 0;
+  };
+
+  const members = async (room) => {
+    return rooms.has(room) ? [...rooms.get(room).keys()] : [];
+  };
+
+  const add = async (room, userId, socketId) => {
+    if (!rooms.has(room)) {
+      rooms.set(room, new Map());
+    }
+    const users = rooms.get(room);
+    const isNewWatcher = !users.has(userId);
+    if (isNewWatcher) {
+      users.set(userId, new Set());
+    }
+    users.get(userId).add(socketId);
+
+    return { watchers: users.size, isNewWatcher };
+  };
+
+  const remove = async (room, userId, socketId) => {
+    const users = rooms.get(room);
+    const sockets = users && users.get(userId);
+    let wasLastSocket = false;
+
+    if (sockets) {
+      sockets.delete(socketId);
+      if (sockets.size === 0) {
+        users.delete(userId);
+        wasLastSocket = true;
+      }
+      if (users.size === 0) {
+        rooms.delete(room);
+      }
+    }
+
+    return { watchers: await count(room), wasLastSocket };
+  };
+
+  return { add, remove, count, members };
+};
+
+// Shared store backed by one Redis sorted set per room. Members are
+// `<userId>:<socketId>`, scored by when they were last refreshed; members
+// whose process stopped refreshing them age out after PRESENCE_TTL_MS.
+const createRedisPresenceStore = (client) => {
+  const local = new Map();
+  const key = (room) => `presence:${room}`;
+
+  // Group a room's members by user
+  const groupByUser = (entries) => {
+    const users = new Map();
+    entries.forEach(entry => {
+      const [userId, socketId] = entry.split(':');
+      if (!users.has(userId)) {
+        users.set(userId, new Set());
+      }
+      users.get(userId).add(socketId);
+    });
+    return users;
+  };
+
+  // Queue dropping a room's expired members and then reading the rest
+  const readLive = (multi, room) => {
+    return multi
+      .zRemRangeByScore(key(room), 0, Date.now() - PRESENCE_TTL_MS)
+      .zRange(key(room), 0, -1);
+  };
+
+  // Get the live members of a room, grouped by user
+  const getUsers = async (room) => {
+    const [, entries] = await readLive(client.multi(), room).exec();
+    return groupByUser(entries);
+  };
+
+  const count = async (room) => {
+    return (await getUsers(room)).size;
+  };
+
+  const members = async (room) => {
+    return [...(await getUsers(room)).keys()];
+  };
+
+  // Each change and the read of the room that follows it run as one
+  // transaction, so joins and leaves on other processes cannot land in
+  // between and skew the counts
+
+  const add = async (room, userId, socketId) => {
+    const member = `${userId}:${socketId}`;
+    if (!local.has(room)) {
+      local.set(room, new Set());
+    }
+    local.get(room).add(member);
+
+    const [added, , entries] = await readLive(
+      client.multi().zAdd(key(room), { score: Date.now(), value: member }),
+      room
+    ).exec();
+
+    // A user is new when this socket is their only one in the room
+    const users = groupByUser(entries);
+    const isNewWatcher = added > 0 && users.get(userId).size === 1;
+    return { watchers: users.size, isNewWatcher };
+  };
+
+  const remove = async (room, userId, socketId) => {
+    const member = `${userId}:${socketId}`;
+    const localMembers = local.get(room);
+    if (localMembers) {
+      localMembers.delete(member);
+      if (localMembers.size === 0) {
+        local.delete(room);
+      }
+    }
+
+    const [removed, , entries] = await readLive(client.multi().zRem(key(room), member), room).exec();
+
+    // A socket that was never counted cannot have been the user's last
+    const users = groupByUser(entries);
+    return { watchers: users.size, wasLastSocket: removed > 0 && !users.has(userId) };
+  };
+
+  // Keep this process's members alive
+  const refresh = async () => {
+    const now = Date.now();
+    const multi = client.multi();
+    local.forEach((roomMembers, room) => {
+      roomMembers.forEach(member => multi.zAdd(key(room), { score: now, value: member }));
+    });
+    await multi.exec();
+  };
+
+  const timer = setInterval(() => {
+    refresh().catch(error => console.error('Presence refresh failed:', error.message));
+  }, PRESENCE_REFRESH_MS);
+  timer.unref();
+
+  return { add, remove, count, members };
+};
+
+module.exports = {
+  createMemoryPresenceStore,
+  createRedisPresenceStore
+};
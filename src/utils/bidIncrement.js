@@ -0,0 +1,64 @@
+const { loadBidIncrementTiers } = require('../config/bidIncrements');
+const { isSealedAuction, isReverseAuction } = require('../config/auctionTypes');
+const { getDutchPrice } = require('./dutchPrice');
+
+// Get the platform increment for a price from the tier table. The table is
+// read on each call, so overrides loaded into the environment after this
+// module is required still apply.
+const getTieredIncrement = (amount) => {
+  const tiers = loadBidIncrementTiers();
+  const tier = tiers.find(t => t.upTo === null || t.upTo === undefined || amount < t.upTo);
+  return tier ? tier.increment : tiers[tiers.length - 1].increment;
+};
+
+// Get the minimum amount a new bid must exceed the given amount by.
+// An auction's own flat bidIncrement overrides the platform tiers.
+const getBidIncrement = (auction, amount) => {
+  // Penny auctions always move by their fixed price step
+  if (auction && auction.auctionType === 'penny') {
+    return (auction.penny && auction.penny.priceStep) || 1;
+  }
+  if (auction && auction.bidIncrement) {
+    return auction.bidIncrement;
+  }
+  return getTieredIncrement(amount || 0);
+};
+
+// Get the lowest bid the auction will currently accept. Sealed bids are
+// not ranked against each other, so they only need the minimum amount;
+// Dutch auctions are won by accepting the current asking price.
+const getNextMinimumBid = (auction) => {
+  if (auction.auctionType === 'dutch' && auction.dutch && auction.startTime) {
+    return getDutchPrice(auction);
+  }
+
+  // Reverse auctions are bid down; see getNextMaximumBid
+  if (isReverseAuction(auction)) {
+    return null;
+  }
+
+  if (!auction.currentBid || isSealedAuction(auction)) {
+    return auction.minAuctionAmount;
+  }
+  return auction.currentBid + getBidIncrement(auction, auction.currentBid);
+};
+
+// Get the highest bid a reverse auction will currently accept. The
+// opening bid may be anything up to basePrice, the buyer's budget; after
+// that each bid must undercut the lowest bid by one increment.
+const getNextMaximumBid = (auction) => {
+  if (!isReverseAuction(auction)) {
+    return null;
+  }
+
+  if (!auction.currentBid) {
+    return auction.basePrice;
+  }
+  return auction.currentBid - getBidIncrement(auction, auction.currentBid);
+};
+
+module.exports = {
+  getBidIncrement,
+  getNextMinimumBid,
+  getNextMaximumBid
+};
@@ -0,0 +1,33 @@
+// Default share of the buy-now price that bidding may reach before the
+// buy-now option is withdrawn
+const DEFAULT_BUY_NOW_CUTOFF_PERCENT = 50;
+
+// Get the bid amount at which the buy-now option disappears. Configurable
+// with BUY_NOW_CUTOFF_PERCENT.
+const getBuyNowCutoff = (buyNowPrice) => {
+  const percent = parseFloat(process.env.BUY_NOW_CUTOFF_PERCENT) || DEFAULT_BUY_NOW_CUTOFF_PERCENT;
+  return buyNowPrice * percent / 100;
+};
+
+// Check whether an auction can currently be bought outright
+const isBuyNowAvailable = (auction) => {
+  // Only open ascending auctions offer buy now
+  if (auction.auctionType && auction.auctionType !== 'english') {
+    return false;
+  }
+
+  if (!auction.buyNowPrice || auction.status !== 'active') {
+    return false;
+  }
+
+  if (new Date() > new Date(auction.endTime)) {
+    return false;
+  }
+
+  return auction.currentBid < getBuyNowCutoff(auction.buyNowPrice);
+};
+
+module.exports = {
+  getBuyNowCutoff,
+  isBuyNowAvailable
+};
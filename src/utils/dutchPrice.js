@@ -0,0 +1,29 @@
+// Number of price drops a Dutch auction has taken at the given time
+const getDutchStep = (auction, at) => {
+  const elapsed = new Date(at) - new Date(auction.startTime);
+  if (elapsed <= 0) return 0;
+  return Math.floor(elapsed / (auction.dutch.stepIntervalSeconds * 1000));
+};
+
+// Get the asking price of a Dutch auction at the given time. The price
+// starts at dutch.startPrice and drops by dutch.priceStep every
+// dutch.stepIntervalSeconds until it reaches dutch.floorPrice.
+const getDutchPrice = (auction, at = new Date()) => {
+  const { startPrice, priceStep, floorPrice } = auction.dutch;
+  return Math.max(floorPrice, startPrice - getDutchStep(auction, at) * priceStep);
+};
+
+// Get when the price will next drop, or null once it has hit the floor
+const getNextDutchDrop = (auction, at = new Date()) => {
+  if (getDutchPrice(auction, at) <= auction.dutch.floorPrice) {
+    return null;
+  }
+
+  const nextStep = getDutchStep(auction, at) + 1;
+  return new Date(new Date(auction.startTime).getTime() + nextStep * auction.dutch.stepIntervalSeconds * 1000);
+};
+
+module.exports = {
+  getDutchPrice,
+  getNextDutchDrop
+};
@@ -0,0 +1,55 @@
+const toId = (value) => (value && value._id) || value;
+
+// Allocate a lot's units to bids. Only each bidder's latest bid counts;
+// the best price is filled first and the earliest bid wins ties. The last
+// bid filled may receive fewer units than it asked for.
+//
+// Returns the allocations, the clearing price (lowest winning unit price)
+// and the cutoff a new bid has to beat: the clearing price once every unit
+// is spoken for, otherwise 0.
+const allocateLot = (auction, bids) => {
+  const latestBids = new Map();
+  bids.forEach(bid => {
+    const bidderId = toId(bid.bidder).toString();
+    const previous = latestBids.get(bidderId);
+    if (!previous || bid.createdAt > previous.createdAt) {
+      latestBids.set(bidderId, bid);
+    }
+  });
+
+  const ranked = [...latestBids.values()]
+    .sort((a, b) => b.amount - a.amount || a.createdAt - b.createdAt);
+
+  let remaining = auction.quantity;
+  const filled = [];
+  for (const bid of ranked) {
+    if (remaining === 0) break;
+
+    const quantity = Math.min(bid.quantity || 1, remaining);
+    filled.push({ bid, quantity });
+    remaining -= quantity;
+  }
+
+  const clearingPrice = filled.length ? filled[filled.length - 1].bid.amount : null;
+
+  const allocations = filled.map(({ bid, quantity }) => {
+    const unitPrice = auction.allocationMode === 'uniform' ? clearingPrice : bid.amount;
+    return {
+      user: toId(bid.bidder),
+      bid: bid._id,
+      quantity,
+      unitPrice,
+      amount: unitPrice * quantity
+    };
+  });
+
+  return {
+    allocations,
+    clearingPrice,
+    cutoff: remaining === 0 ? clearingPrice : 0
+  };
+};
+
+module.exports = {
+  allocateLot
+};
@@ -0,0 +1,41 @@
+// Default buyer's premium (a percentage of the winning price added to what
+// the buyer pays) and tax rate on the buyer's subtotal
+const DEFAULT_BUYER_PREMIUM_PERCENT = 0;
+const DEFAULT_PAYMENT_TAX_PERCENT = 0;
+
+// Read a non-negative percentage from the environment
+const getPercent = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Amounts are charged in paisa, so round rupee amounts to two places
+const toPaise = (amount) => Math.round(amount * 100);
+const roundToPaise = (amount) => toPaise(amount) / 100;
+
+// Itemize what a buyer owes for an item: the winning price, the buyer's
+// premium on it, shipping, and tax on all three. Rates are configurable
+// with BUYER_PREMIUM_PERCENT and PAYMENT_TAX_PERCENT.
+const buildPaymentBreakdown = ({ itemAmount, shipping = 0 }) => {
+  const buyerPremiumPercent = getPercent('BUYER_PREMIUM_PERCENT', DEFAULT_BUYER_PREMIUM_PERCENT);
+  const taxPercent = getPercent('PAYMENT_TAX_PERCENT', DEFAULT_PAYMENT_TAX_PERCENT);
+
+  const buyerPremium = roundToPaise(itemAmount * buyerPremiumPercent / 100);
+  const subtotal = roundToPaise(itemAmount + buyerPremium + shipping);
+  const tax = roundToPaise(subtotal * taxPercent / 100);
+
+  return {
+    itemAmount,
+    buyerPremiumPercent,
+    buyerPremium,
+    shipping,
+    taxPercent,
+    tax,
+    total: roundToPaise(subtotal + tax)
+  };
+};
+
+module.exports = {
+  toPaise,
+  buildPaymentBreakdown
+};
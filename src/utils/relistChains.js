@@ -0,0 +1,35 @@
+// Get the id of the first auction in an auction's relisting chain
+const getRelistRootId = (auction) => {
+  return auction.relistRoot || auction._id;
+};
+
+// Group auctions into relisting chains, each ordered from the original
+// listing to the latest relist
+const groupRelistChains = (auctions) => {
+  const chains = new Map();
+
+  auctions.forEach(auction => {
+    const rootId = getRelistRootId(auction).toString();
+    if (!chains.has(rootId)) {
+      chains.set(rootId, []);
+    }
+    chains.get(rootId).push(auction);
+  });
+
+  return [...chains.entries()].map(([root, listings]) => {
+    listings.sort((a, b) => (a.relistCount || 0) - (b.relistCount || 0));
+    const latest = listings[listings.length - 1];
+
+    return {
+      root,
+      latest: latest._id,
+      relistCount: latest.relistCount || 0,
+      auctions: listings
+    };
+  });
+};
+
+module.exports = {
+  getRelistRootId,
+  groupRelistChains
+};
@@ -0,0 +1,38 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { configureSocketAdapter } = require('../../src/socket/adapter');
+
+describe('configureSocketAdapter', () => {
+  const original = process.env.SOCKET_ADAPTER;
+
+  beforeEach(() => {
+    delete process.env.SOCKET_ADAPTER;
+  });
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.SOCKET_ADAPTER;
+    } else {
+      process.env.SOCKET_ADAPTER = original;
+    }
+  });
+
+  it('keeps the default adapter and an in-memory presence store when SOCKET_ADAPTER is unset', async () => {
+    let adapterSet = false;
+    const io = { adapter: () => { adapterSet = true; } };
+
+    const presence = await configureSocketAdapter(io);
+
+    assert.strictEqual(adapterSet, false);
+    assert.deepStrictEqual(await presence.add('room', 'u1', 's1'), { watchers: 1, isNewWatcher: true });
+    assert.deepStrictEqual(await presence.add('room', 'u1', 's2'), { watchers: 1, isNewWatcher: false });
+  });
+
+  it('falls back to memory for any value other than redis', async () => {
+    process.env.SOCKET_ADAPTER = 'memory';
+    const io = { adapter: () => assert.fail('adapter should not be replaced') };
+
+    const presence = await configureSocketAdapter(io);
+    assert.strictEqual(await presence.count('room'), 0);
+  });
+});
@@ -0,0 +1,195 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createMemoryPresenceStore, createRedisPresenceStore } = require('../../src/socket/presence');
+
+// In-memory stand-in for the node-redis v4 sorted-set commands the presence
+// store uses
+const createFakeRedisClient = () => {
+  const sets = new Map();
+  const getSet = (key) => {
+    if (!sets.has(key)) {
+      sets.set(key, new Map());
+    }
+    return sets.get(key);
+  };
+
+  const client = {
+    zAdd: async (key, { score, value }) => {
+      const added = getSet(key).has(value) ? 0 : 1;
+      getSet(key).set(value, score);
+      return added;
+    },
+    zRem: async (key, member) => {
+      return getSet(key).delete(member) ? 1 : 0;
+    },
+    zRemRangeByScore: async (key, min, max) => {
+      let removed = 0;
+      for (const [member, score] of getSet(key)) {
+        if (score >= min && score <= max) {
+          getSet(key).delete(member);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+    zRange: async (key) => {
+      return [...getSet(key)].sort((a, b) => a[1] - b[1]).map(([member]) => member);
+    },
+    // Commands queued on a transaction all run on exec, with nothing from
+    // other clients in between, and resolve to their replies in order
+    multi: () => {
+      const ops = [];
+      const transaction = {};
+      ['zAdd', 'zRem', 'zRemRangeByScore', 'zRange'].forEach(command => {
+        transaction[command] = (...args) => {
+          ops.push(() => client[command](...args));
+          return transaction;
+        };
+      });
+      transaction.exec = () => Promise.all(ops.map(op => op()));
+      return transaction;
+    }
+  };
+
+  return client;
+};
+
+// Both stores share one interface, so they share the same behaviour tests
+const stores = {
+  memory: () => createMemoryPresenceStore(),
+  redis: () => createRedisPresenceStore(createFakeRedisClient())
+};
+
+Object.entries(stores).forEach(([name, createStore]) => {
+  describe(`${name} presence store`, () => {
+    let presence;
+
+    beforeEach(() => {
+      presence = createStore();
+    });
+
+    it('counts each user once however many sockets they have', async () => {
+      assert.deepStrictEqual(await presence.add('room', 'u1', 's1'), { watchers: 1, isNewWatcher: true });
+      assert.deepStrictEqual(await presence.add('room', 'u1', 's2'), { watchers: 1, isNewWatcher: false });
+      assert.deepStrictEqual(await presence.add('room', 'u2', 's3'), { watchers: 2, isNewWatcher: true });
+
+      assert.strictEqual(await presence.count('room'), 2);
+      assert.deepStrictEqual((await presence.members('room')).sort(), ['u1', 'u2']);
+    });
+
+    it('only drops a user when their last socket leaves', async () => {
+      await presence.add('room', 'u1', 's1');
+      await presence.add('room', 'u1', 's2');
+      await presence.add('room', 'u2', 's3');
+
+      assert.deepStrictEqual(await presence.remove('room', 'u1', 's1'), { watchers: 2, wasLastSocket: false });
+      assert.deepStrictEqual(await presence.remove('room', 'u1', 's2'), { watchers: 1, wasLastSocket: true });
+      assert.deepStrictEqual(await presence.members('room'), ['u2']);
+    });
+
+    it('keeps rooms separate', async () => {
+      await presence.add('a', 'u1', 's1');
+      await presence.add('b', 'u2', 's2');
+
+      assert.strictEqual(await presence.count('a'), 1);
+      assert.deepStrictEqual(await presence.members('b'), ['u2']);
+      assert.strictEqual(await presence.count('empty'), 0);
+    });
+
+    it('does not count a socket that joins twice as a new watcher', async () => {
+      await presence.add('room', 'u1', 's1');
+
+      assert.deepStrictEqual(await presence.add('room', 'u1', 's1'), { watchers: 1, isNewWatcher: false });
+    });
+
+    it('ignores sockets that were never added', async () => {
+      await presence.add('room', 'u1', 's1');
+
+      assert.deepStrictEqual(await presence.remove('room', 'u2', 's9'), { watchers: 1, wasLastSocket: false });
+      assert.strictEqual(await presence.count('room'), 1);
+    });
+  });
+});
+
+describe('redis presence store across processes', () => {
+  it('counts a user once when their sockets join and leave through different processes', async () => {
+    const client = createFakeRedisClient();
+    const first = createRedisPresenceStore(client);
+    const second = createRedisPresenceStore(client);
+
+    const [joinedFirst, joinedSecond] = await Promise.all([
+      first.add('room', 'u1', 's1'),
+      second.add('room', 'u1', 's2')
+    ]);
+    assert.deepStrictEqual(
+      [joinedFirst.isNewWatcher, joinedSecond.isNewWatcher].sort(),
+      [false, true]
+    );
+    assert.strictEqual(joinedSecond.watchers, 1);
+
+    const [leftFirst, leftSecond] = await Promise.all([
+      first.remove('room', 'u1', 's1'),
+      second.remove('room', 'u1', 's2')
+    ]);
+    assert.deepStrictEqual(
+      [leftFirst.wasLastSocket, leftSecond.wasLastSocket].sort(),
+      [false, true]
+    );
+    assert.strictEqual(await first.count('room'), 0);
+  });
+});
+
+describe('redis presence store expiry', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  // Let the refresh started by a timer tick finish
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  it('expires entries left behind by a process that stopped refreshing them', async () => {
+    const client = createFakeRedisClient();
+    const presence = createRedisPresenceStore(client);
+
+    // Written by another process at time 0, which then crashed
+    await client.zAdd('presence:room', { score: Date.now(), value: 'u1:crashed' });
+    assert.strictEqual(await presence.count('room'), 1);
+
+    mock.timers.tick(91 * 1000);
+    await flush();
+
+    assert.strictEqual(await presence.count('room'), 0);
+    assert.deepStrictEqual(await presence.add('room', 'u1', 's1'), { watchers: 1, isNewWatcher: true });
+  });
+
+  it('keeps its own sockets alive past the expiry time', async () => {
+    const client = createFakeRedisClient();
+    const presence = createRedisPresenceStore(client);
+
+    await presence.add('room', 'u1', 's1');
+    for (let i = 0; i < 4; i++) {
+      mock.timers.tick(30 * 1000);
+      await flush();
+    }
+
+    assert.deepStrictEqual(await presence.members('room'), ['u1']);
+  });
+
+  it('stops refreshing sockets once they leave', async () => {
+    const client = createFakeRedisClient();
+    const presence = createRedisPresenceStore(client);
+
+    await presence.add('room', 'u1', 's1');
+    await presence.add('room', 'u2', 's2');
+    assert.deepStrictEqual(await presence.remove('room', 'u2', 's2'), { watchers: 1, wasLastSocket: true });
+
+    mock.timers.tick(120 * 1000);
+    await flush();
+
+    assert.deepStrictEqual(await presence.members('room'), ['u1']);
+  });
+});